@@ -8,6 +8,9 @@ const App = {
     selectedColor: null,
     editingUser: null,
     editingUserColor: null,
+    standupQueue: [],
+    standupIndex: 0,
+    pendingSeed: null, // seed from the ?seed= URL parameter, used by the next race
 
     /**
      * Initialize the application
@@ -16,6 +19,9 @@ const App = {
         // Check for shareable link
         this.checkShareableLink();
 
+        // Check for a race seed in the URL
+        this.checkSeedParam();
+
         // Apply theme
         this.applyTheme();
 
@@ -88,6 +94,10 @@ const App = {
         }
 
         // Render content when switching views
+        if (viewName === 'users') {
+            // Recent pairs change with every race
+            this.renderPairingRules();
+        }
         if (viewName === 'history') {
             this.renderHistoryList();
             this.renderStatistics();
@@ -108,9 +118,25 @@ const App = {
                 voiceCommentaryToggle.checked = Storage.getSetting('voiceCommentaryEnabled');
             }
             this.populateVoiceSelect();
+            this.updateNoRepeatWindowRange();
         }
     },
 
+    /**
+     * Limit the no-repeat window slider to the enabled roster size minus one
+     */
+    updateNoRepeatWindowRange() {
+        const slider = document.getElementById('no-repeat-window');
+        const display = document.getElementById('no-repeat-window-display');
+        if (!slider) return;
+
+        const max = Math.max(0, Storage.getEnabledUsers().length - 1);
+        const value = Math.min(Storage.getSetting('noRepeatWindow'), max);
+        slider.max = max;
+        slider.value = value;
+        display.textContent = value;
+    },
+
     /**
      * Populate the voice selector dropdown with available speech synthesis voices
      */
@@ -221,6 +247,63 @@ const App = {
         const raceButton = document.getElementById('race-button');
         raceButton.addEventListener('click', () => this.race());
 
+        // Race mode (single winner or standup order)
+        const raceMode = document.getElementById('race-mode');
+        raceMode.value = Storage.getSetting('raceMode');
+        this.updateRaceButtonLabel();
+        Tournament.renderBracket();
+        raceMode.addEventListener('change', (e) => {
+            Storage.setSetting('raceMode', e.target.value);
+            this.updateRaceButtonLabel();
+            this.updateWinnerCountControl();
+            this.updateTeamCountControl();
+            Tournament.renderBracket();
+        });
+
+        // How many of the top finishers win (winner mode only)
+        const winnerCount = document.getElementById('winner-count');
+        this.updateWinnerCountControl();
+        winnerCount.addEventListener('change', (e) => {
+            const count = parseInt(e.target.value);
+            Storage.setSetting('winnerCount', isNaN(count) ? 1 : Math.max(1, Math.min(count, parseInt(e.target.max))));
+            this.updateWinnerCountControl();
+            this.updateRaceButtonLabel();
+        });
+
+        // How many teams a split race deals everyone into (split mode only)
+        const teamCount = document.getElementById('team-count');
+        this.updateTeamCountControl();
+        teamCount.addEventListener('change', (e) => {
+            const count = parseInt(e.target.value);
+            Storage.setSetting('splitTeamCount', isNaN(count) ? TeamSplit.MIN_TEAMS : Math.max(TeamSplit.MIN_TEAMS, Math.min(count, parseInt(e.target.max))));
+            this.updateTeamCountControl();
+        });
+
+        // Team split actions
+        document.getElementById('team-split-copy').addEventListener('click', () => TeamSplit.copy());
+        document.getElementById('team-split-save').addEventListener('click', () => TeamSplit.save());
+
+        // Abandon the current tournament (heats already run stay in history)
+        document.getElementById('tournament-abandon').addEventListener('click', () => {
+            this.showConfirmDialog(
+                'Abandon Tournament?',
+                'The heats already run stay in History, but nobody will be crowned champion.',
+                () => {
+                    Tournament.abandon();
+                    this.updateRaceButtonLabel();
+                }
+            );
+        });
+
+        // Pause/resume and abort while racing
+        document.getElementById('race-pause').addEventListener('click', () => Race.togglePause());
+        document.getElementById('race-abort').addEventListener('click', () => Race.abort());
+
+        // Standup queue navigation
+        document.getElementById('standup-next').addEventListener('click', () => {
+            this.nextStandupSpeaker();
+        });
+
         // Touch swipe support
         let touchStartX = 0;
         let touchStartY = 0;
@@ -254,28 +337,323 @@ const App = {
             return;
         }
 
-        Race.race((result) => {
-            this.displayResult(result);
+        // Use the URL seed, otherwise the seed from settings, for this race only (none means a fresh seed)
+        const seed = this.pendingSeed || Storage.getSetting('raceSeed') || null;
+        const mode = Storage.getSetting('raceMode');
+
+        // A seed from an earlier race re-runs that race exactly instead of starting a new one. Any other
+        // seed could have been searched for to make someone win, so it only runs one unrecorded race
+        const rerunOf = seed ? Storage.getHistory().find(entry => entry.seed === seed && entry.setup) : null;
+        if (seed && !rerunOf && (mode === 'tournament' || mode === 'relay')) {
+            alert(`The seed "${seed}" isn't in this browser's History, so it can only run a single unrecorded race. ` +
+                `Switch from ${mode === 'relay' ? 'Relay' : 'Tournament'} to another race mode to try it.`);
+            return;
+        }
+
+        this.pendingSeed = null;
+        if (Storage.getSetting('raceSeed')) {
+            Storage.setSetting('raceSeed', '');
+            document.getElementById('race-seed-input').value = '';
+        }
+
+        if (rerunOf) {
+            this.runRace({ rerunOf });
+            return;
+        }
+        if (mode === 'tournament') {
+            this.runTournamentRace();
+            return;
+        }
+        if (mode === 'relay') {
+            this.runRelay();
+            return;
+        }
+
+        // Multi-pick races keep pairing rules, or say why they can't before the race starts
+        const options = { mode, seed, customSeed: !!seed, winners: this.getWinnerCount() };
+        if (options.mode === 'split' || (options.mode === 'winner' && options.winners > 1)) {
+            const users = Storage.getEnabledUsers();
+            const constraints = Pairing.getConstraints(users);
+            const problem = options.mode === 'split'
+                ? Pairing.checkTeams(users, this.getTeamCount(), constraints)
+                : Pairing.checkWinners(users, options.winners, constraints);
+            if (problem) {
+                alert(problem);
+                return;
+            }
+            options.keepApart = constraints.map(c => c.userIds);
+        }
+        this.runRace(options);
+    },
+
+    /**
+     * Run the next heat (or the final) of the current tournament, starting a new one if none is running
+     * Each heat keeps the seed it was given at the start, so an aborted heat re-runs the same way
+     */
+    runTournamentRace() {
+        if (Race.isRacing) return;
+
+        if (!Tournament.isInProgress()) {
+            const users = Storage.getEnabledUsers();
+            if (users.length < Tournament.MIN_USERS) {
+                alert(`A tournament needs at least ${Tournament.MIN_USERS} users!`);
+                return;
+            }
+            Tournament.start(users, {
+                heatSize: Storage.getSetting('tournamentHeatSize'),
+                qualifiers: Storage.getSetting('tournamentQualifiers'),
+                seed: SeededRandom.generateSeed()
+            });
+        }
+
+        const next = Tournament.getNextRace();
+        this.standupQueue = [];
+        document.getElementById('standup-queue').classList.add('hidden');
+        TeamSplit.hide();
+        Tournament.renderBracket();
+
+        Race.race((result, finishingOrder) => {
+            this.displayResult(result, finishingOrder);
+            Tournament.recordResult(next.tournament.id, finishingOrder);
+            Tournament.renderBracket();
+            this.updateRaceButtonLabel();
+        }, next);
+    },
+
+    /**
+     * Run a team relay between the enabled users' teams, leg by leg
+     * Every leg gets a fresh seed (see Relay.start)
+     */
+    runRelay() {
+        if (Race.isRacing) return;
+
+        const teams = Storage.getTeams();
+        if (teams.length < Relay.MIN_TEAMS) {
+            alert(`A relay needs at least ${Relay.MIN_TEAMS} teams! Put users on teams by editing them.`);
+            return;
+        }
+
+        this.standupQueue = [];
+        document.getElementById('standup-queue').classList.add('hidden');
+        TeamSplit.hide();
+
+        Relay.start(teams);
+        Relay.run((result, finishingOrder) => {
+            this.displayResult(result, finishingOrder);
         });
     },
 
+    /**
+     * Replay a race from history exactly as it ran (not recorded again)
+     */
+    replayRace(entry) {
+        if (!entry.setup || Race.isRacing) return;
+
+        this.showView('race');
+        this.runRace({ rerunOf: entry });
+    },
+
+    /**
+     * Run a race with the given Race.race() options and show its result
+     */
+    runRace(options) {
+        const rerun = options.rerunOf;
+        const mode = rerun ? Race.getRerunMode(rerun) : options.mode;
+
+        // A new race replaces any previous standup order or team split
+        this.standupQueue = [];
+        document.getElementById('standup-queue').classList.add('hidden');
+        TeamSplit.hide();
+
+        // Teams are dealt from the roster as it was when the race started (a replay deals its saved split again)
+        const users = rerun ? rerun.setup.roster : Storage.getEnabledUsers();
+        const teamCount = rerun && rerun.teams ? rerun.teams.length : this.getTeamCount();
+        const keepApart = (rerun ? rerun.setup.keepApart : options.keepApart) || [];
+
+        Race.race((result, finishingOrder, winners) => {
+            if (mode === 'standup') {
+                this.startStandupQueue(finishingOrder);
+                Effects.triggerWinnerEffect(result.name);
+            } else if (mode === 'split') {
+                const teams = TeamSplit.deal(finishingOrder, teamCount, users, keepApart);
+                if (!teams) {
+                    // The rules fit before the race, so dealing in finishing order ran out of steps
+                    alert(Pairing.explainTooMany(`split ${users.length} people into ${teamCount} teams`));
+                    return;
+                }
+                TeamSplit.show(teams, {
+                    finishingOrder,
+                    seed: Race.seed,
+                    salt: Race.salt,
+                    commitment: Race.commitment,
+                    setup: Race.getRaceSetup()
+                }, rerun ? 'Saved ✓' : (options.customSeed ? 'Custom seed, not saved' : null));
+            } else if (mode === 'relay') {
+                // A relay replay is named by team, like the relay it replays (see Relay.run)
+                const teamOf = userId => Race.users.find(user => user.id === userId).relayTeam;
+                this.displayResult(
+                    { ...result, name: result.relayTeam },
+                    finishingOrder.map(finisher => ({ ...finisher, userName: teamOf(finisher.userId) }))
+                );
+            } else {
+                this.displayResult(result, finishingOrder, winners);
+            }
+        }, options);
+    },
+
+    /**
+     * Update the race button label for the selected race mode
+     */
+    updateRaceButtonLabel() {
+        const raceButton = document.getElementById('race-button');
+        const labels = {
+            standup: 'Race for Standup Order',
+            elimination: 'Start Elimination Race',
+            relay: 'Start Relay',
+            split: 'Split into Teams',
+            tournament: Tournament.getButtonLabel()
+        };
+        const winnerCount = this.getWinnerCount();
+        raceButton.textContent = labels[Storage.getSetting('raceMode')] || (winnerCount > 1 ? `Pick ${winnerCount} Winners` : 'Start Race');
+    },
+
+    /**
+     * How many winners the next 'winner' race picks (the setting, capped at one fewer than the enabled users)
+     */
+    getWinnerCount() {
+        const enabled = Storage.getEnabledUsers().length;
+        return Math.max(1, Math.min(Storage.getSetting('winnerCount'), enabled - 1));
+    },
+
+    /**
+     * Show the winner count next to the race mode in winner mode, limited to the current roster
+     */
+    updateWinnerCountControl() {
+        const control = document.getElementById('winner-count-control');
+        const input = document.getElementById('winner-count');
+        control.classList.toggle('hidden', Storage.getSetting('raceMode') !== 'winner');
+        input.max = Math.max(1, Storage.getEnabledUsers().length - 1);
+        input.value = this.getWinnerCount();
+    },
+
+    /**
+     * How many teams the next split race deals into (the setting, capped by the enabled users)
+     */
+    getTeamCount() {
+        const enabled = Storage.getEnabledUsers().length;
+        return Math.max(TeamSplit.MIN_TEAMS, Math.min(Storage.getSetting('splitTeamCount'), TeamSplit.getMaxTeams(enabled)));
+    },
+
+    /**
+     * Show the team count next to the race mode in split mode, limited to the current roster
+     */
+    updateTeamCountControl() {
+        const control = document.getElementById('team-count-control');
+        const input = document.getElementById('team-count');
+        control.classList.toggle('hidden', Storage.getSetting('raceMode') !== 'split');
+        input.max = TeamSplit.getMaxTeams(Storage.getEnabledUsers().length);
+        input.value = this.getTeamCount();
+    },
+
+    /**
+     * Start stepping through a standup speaking order
+     */
+    startStandupQueue(finishingOrder) {
+        this.standupQueue = finishingOrder;
+        this.standupIndex = 0;
+        this.renderStandupQueue();
+        document.getElementById('standup-queue').classList.remove('hidden');
+    },
+
+    /**
+     * Move to the next speaker in the standup order
+     */
+    nextStandupSpeaker() {
+        if (this.standupIndex >= this.standupQueue.length) return;
+        this.standupIndex++;
+        this.renderStandupQueue();
+    },
+
+    /**
+     * Render the standup order with the current speaker highlighted
+     */
+    renderStandupQueue() {
+        const list = document.getElementById('standup-queue-list');
+        const nextButton = document.getElementById('standup-next');
+        list.innerHTML = '';
+
+        this.standupQueue.forEach((slot, index) => {
+            const item = document.createElement('li');
+            item.textContent = slot.userName;
+            if (index < this.standupIndex) {
+                item.classList.add('spoken');
+            } else if (index === this.standupIndex) {
+                item.classList.add('current');
+            }
+            list.appendChild(item);
+        });
+
+        const finished = this.standupIndex >= this.standupQueue.length;
+        const isLast = this.standupIndex === this.standupQueue.length - 1;
+        nextButton.disabled = finished;
+        nextButton.textContent = finished ? 'Everyone has spoken 🎉' : (isLast ? 'Finish Standup' : 'Next Speaker');
+    },
+
     /**
      * Display result
      */
-    displayResult(user) {
+    displayResult(user, finishingOrder, winners = [user]) {
         const resultDisplay = document.getElementById('result-display');
         const resultName = document.getElementById('result-name');
+        const names = Race.listNames(winners.map(winner => winner.name));
 
         // Only show result display if commentary is disabled
         // (commentary already shows the winner)
         const commentaryEnabled = Storage.getSetting('commentaryEnabled');
         if (!commentaryEnabled) {
-            resultName.textContent = user.name;
+            resultName.textContent = names;
             resultDisplay.classList.remove('hidden');
         }
 
+        // Show 1st to 3rd on the podium
+        this.renderPodium(finishingOrder);
+
         // Trigger winner effect
-        Effects.triggerWinnerEffect(user.name);
+        Effects.triggerWinnerEffect(names);
+    },
+
+    /**
+     * Render the podium for the top three finishers (2nd, 1st, 3rd from left to right)
+     */
+    renderPodium(finishingOrder) {
+        const podium = document.getElementById('race-podium');
+        if (!podium || !finishingOrder) return;
+
+        const placeLabels = { 1: '🥇 1st', 2: '🥈 2nd', 3: '🥉 3rd' };
+        const topThree = finishingOrder.slice(0, 3);
+        const displayOrder = [topThree[1], topThree[0], topThree[2]].filter(Boolean);
+
+        podium.innerHTML = '';
+        displayOrder.forEach(finisher => {
+            const user = Storage.getUser(finisher.userId);
+            const step = document.createElement('div');
+            step.className = `podium-step podium-place-${finisher.place}`;
+
+            const name = document.createElement('div');
+            name.className = 'podium-name';
+            name.textContent = finisher.userName;
+
+            const block = document.createElement('div');
+            block.className = 'podium-block';
+            block.style.borderTopColor = user ? user.color : '';
+            block.textContent = placeLabels[finisher.place];
+
+            step.appendChild(name);
+            step.appendChild(block);
+            podium.appendChild(step);
+        });
+
+        podium.classList.remove('hidden');
     },
 
     /**
@@ -284,6 +662,9 @@ const App = {
     updateRaceState() {
         const raceButton = document.getElementById('race-button');
         const enabledUsers = Storage.getEnabledUsers();
+        this.updateWinnerCountControl();
+        this.updateTeamCountControl();
+        this.updateRaceButtonLabel();
 
         if (enabledUsers.length < 2) {
             raceButton.disabled = true;
@@ -321,22 +702,69 @@ const App = {
         nameInput.addEventListener('input', () => {
             this.validateUserName(nameInput.value);
         });
+
+        // Pairing rules: keep two people apart in multi-pick races
+        document.getElementById('add-pair-rule-btn').addEventListener('click', () => {
+            const first = document.getElementById('pair-rule-first').value;
+            const second = document.getElementById('pair-rule-second').value;
+            const errorDiv = document.getElementById('pair-rule-error');
+            if (first === second) {
+                errorDiv.textContent = 'Pick two different people';
+                return;
+            }
+            if (!Storage.addPairExclusion(first, second)) {
+                errorDiv.textContent = 'These two are already kept apart';
+                return;
+            }
+            errorDiv.textContent = '';
+            this.renderPairingRules();
+        });
+
+        document.getElementById('pair-repeat-window').addEventListener('change', (e) => {
+            const sessions = parseInt(e.target.value);
+            Storage.setSetting('pairRepeatWindow', isNaN(sessions) ? 0 : Math.max(0, Math.min(sessions, parseInt(e.target.max))));
+            this.renderPairingRules();
+        });
     },
 
     /**
-     * Get an unused color from the palette
+     * Get an unused color: the palette first, then generated colors for big rosters
      */
     getUnusedColor() {
         const users = Storage.getUsers();
-        const usedColors = users.map(u => u.color);
+        const usedColors = users.map(u => u.color.toUpperCase());
 
         // Find first unused color from palette
-        // With 22 colors and max 20 users, there will always be unused colors
         for (let color of Storage.COLOR_PALETTE) {
             if (!usedColors.includes(color)) {
                 return color;
             }
         }
+
+        // Palette exhausted: step around the hue wheel by the golden angle so
+        // neighbouring colors stay far apart, alternating lightness for extra contrast
+        for (let i = 0; i < Storage.MAX_USERS * 2; i++) {
+            const color = this.hslToHex((i * 137.508) % 360, 65, i % 2 === 0 ? 55 : 40);
+            if (!usedColors.includes(color)) {
+                return color;
+            }
+        }
+        return Storage.COLOR_PALETTE[users.length % Storage.COLOR_PALETTE.length];
+    },
+
+    /**
+     * Convert an HSL color (degrees, percent, percent) to an uppercase hex string
+     */
+    hslToHex(hue, saturation, lightness) {
+        const s = saturation / 100;
+        const l = lightness / 100;
+        const a = s * Math.min(l, 1 - l);
+        const channel = n => {
+            const k = (n + hue / 30) % 12;
+            const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255).toString(16).padStart(2, '0');
+        };
+        return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
     },
 
     /**
@@ -370,8 +798,8 @@ const App = {
             return false;
         }
 
-        if (Storage.getUsers().length >= 20) {
-            errorDiv.textContent = 'Maximum 20 users reached';
+        if (Storage.getUsers().length >= Storage.MAX_USERS) {
+            errorDiv.textContent = `Maximum ${Storage.MAX_USERS} users reached`;
             addBtn.disabled = true;
             return false;
         }
@@ -411,6 +839,7 @@ const App = {
         const userCount = document.getElementById('user-count');
 
         userCount.textContent = users.length;
+        document.getElementById('user-max').textContent = Storage.MAX_USERS;
         usersGrid.innerHTML = '';
 
         users.forEach(user => {
@@ -431,6 +860,21 @@ const App = {
             nameDiv.className = 'user-name';
             nameDiv.textContent = user.name;
 
+            // Show the odds multiplier when it differs from the default
+            if (user.weight !== Storage.DEFAULT_WEIGHT) {
+                const weightBadge = document.createElement('span');
+                weightBadge.className = 'user-weight-badge';
+                weightBadge.textContent = `×${user.weight} odds`;
+                nameDiv.appendChild(weightBadge);
+            }
+
+            if (user.team) {
+                const teamBadge = document.createElement('span');
+                teamBadge.className = 'user-team-badge';
+                teamBadge.textContent = user.team;
+                nameDiv.appendChild(teamBadge);
+            }
+
             infoDiv.appendChild(nameDiv);
 
             // Group controls under the user name so the name reads above controls
@@ -487,6 +931,61 @@ const App = {
 
             usersGrid.appendChild(card);
         });
+
+        this.renderPairingRules();
+    },
+
+    /**
+     * Render the pairing rules editor: who is never paired, and which recent pairs are kept apart
+     */
+    renderPairingRules() {
+        const users = Storage.getUsers();
+        const picked = [];
+        ['pair-rule-first', 'pair-rule-second'].forEach(id => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = '';
+            users.forEach(user => {
+                const option = document.createElement('option');
+                option.value = user.id;
+                option.textContent = user.name;
+                select.appendChild(option);
+            });
+            // Keep the current choice, otherwise default to someone not picked in the other box
+            const fallback = users.find(user => !picked.includes(user.id)) || users[0];
+            select.value = users.some(user => user.id === selected) && !picked.includes(selected)
+                ? selected
+                : (fallback ? fallback.id : '');
+            picked.push(select.value);
+        });
+        document.getElementById('add-pair-rule-btn').disabled = users.length < 2;
+
+        const list = document.getElementById('pair-rules-list');
+        list.innerHTML = '';
+        Storage.getPairExclusions().forEach(([userId, otherId]) => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = Pairing.listPairs([{ userIds: [userId, otherId] }]);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = 'Remove';
+            removeBtn.title = 'Let these two be grouped together again';
+            removeBtn.addEventListener('click', () => {
+                Storage.removePairExclusion(userId, otherId);
+                this.renderPairingRules();
+            });
+
+            item.appendChild(label);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+
+        document.getElementById('pair-repeat-window').value = Storage.getSetting('pairRepeatWindow');
+        const recent = Pairing.getConstraints(users).filter(c => c.recent);
+        document.getElementById('pair-recent').textContent = recent.length > 0
+            ? `Kept apart next time: ${Pairing.listPairs(recent)}`
+            : '';
     },
 
     /**
@@ -533,8 +1032,26 @@ const App = {
             });
         });
 
+        // Populate selection weight
+        const editWeightInput = document.getElementById('edit-user-weight');
+        editWeightInput.value = user.weight;
+        editWeightInput.oninput = () => {
+            this.validateEditUserWeight(editWeightInput.value);
+        };
+
+        // Populate team, suggesting the teams already in use
+        document.getElementById('edit-user-team').value = user.team;
+        const teamOptions = document.getElementById('team-options');
+        teamOptions.innerHTML = '';
+        Storage.getTeams(Storage.getUsers()).forEach(team => {
+            const option = document.createElement('option');
+            option.value = team.name;
+            teamOptions.appendChild(option);
+        });
+
         // Clear validation errors
         document.getElementById('edit-name-error').textContent = '';
+        document.getElementById('edit-weight-error').textContent = '';
 
         // Add real-time validation
         const editNameInput = document.getElementById('edit-user-name');
@@ -587,22 +1104,44 @@ const App = {
         return true;
     },
 
+    /**
+     * Validate edited user selection weight
+     */
+    validateEditUserWeight(value) {
+        const errorDiv = document.getElementById('edit-weight-error');
+        const saveBtn = document.getElementById('edit-user-save');
+        const weight = parseFloat(value);
+
+        if (isNaN(weight) || weight < Storage.MIN_WEIGHT || weight > Storage.MAX_WEIGHT) {
+            errorDiv.textContent = `Weight must be between ${Storage.MIN_WEIGHT} and ${Storage.MAX_WEIGHT}`;
+            saveBtn.disabled = true;
+            return false;
+        }
+
+        errorDiv.textContent = '';
+        saveBtn.disabled = false;
+        return true;
+    },
+
     /**
      * Save edited user
      */
     saveEditedUser() {
         const nameInput = document.getElementById('edit-user-name');
         const newName = nameInput.value.trim();
+        const weightInput = document.getElementById('edit-user-weight');
 
-        // Validate using the same validation function
-        if (!this.validateEditUserName(newName)) {
+        // Validate using the same validation functions
+        if (!this.validateEditUserName(newName) || !this.validateEditUserWeight(weightInput.value)) {
             return;
         }
 
         // Update user
         Storage.updateUser(this.editingUser.id, {
             name: newName,
-            color: this.editingUserColor
+            color: this.editingUserColor,
+            weight: Math.round(parseFloat(weightInput.value) * 10) / 10,
+            team: document.getElementById('edit-user-team').value.trim()
         });
 
         this.closeEditUserModal();
@@ -690,6 +1229,14 @@ const App = {
 
         entriesContainer.innerHTML = '';
 
+        // Tournament entries link back to the race their tournament started at
+        const tournamentStarts = {};
+        history.forEach(entry => {
+            if (entry.tournament && !tournamentStarts[entry.tournament.id]) {
+                tournamentStarts[entry.tournament.id] = entry.spinNumber;
+            }
+        });
+
         // Show most recent first
         [...history].reverse().forEach(entry => {
             const date = new Date(entry.timestamp);
@@ -699,12 +1246,134 @@ const App = {
             const entryDiv = document.createElement('div');
             entryDiv.className = 'history-entry';
 
+            // Explain why this pick happened (older entries have no selection details)
+            let reason = '';
+            if (entry.selection) {
+                const modeLabel = Selection.MODE_LABELS[entry.selection.mode] || entry.selection.mode;
+                reason = `${modeLabel}: ${entry.selection.reason} (${Selection.formatProbability(entry.selection.probability)} odds)`;
+            }
+
+            // Runners-up (older entries have no finishing order); standup entries list the whole order
+            let places = [];
+            if (entry.type === 'standup') {
+                const order = entry.finishingOrder.map(f => `${f.place}. ${f.userName}`).join(' · ');
+                places = [order];
+            } else if (entry.setup && entry.setup.elimination) {
+                // Elimination races rank everyone, the first knocked out last
+                const ranking = entry.finishingOrder.map(f => `${f.place}. ${f.userName}`).join(' · ');
+                places = [ranking];
+            } else if (entry.winners) {
+                // Multi-winner races: everyone who didn't win, in finishing order
+                const others = entry.finishingOrder.slice(entry.winners.length)
+                    .map(f => `${f.place}. ${f.userName}${f.fell ? ' (fell)' : ''}`)
+                    .join(' · ');
+                places = [others];
+            } else if (entry.type === 'relay') {
+                // Teams in finishing order, then who ran each leg
+                const standings = entry.relay.standings.map((team, index) => `${index + 1}. ${team}`).join(' · ');
+                const legs = entry.relay.teams.map(team => `${team.name}: ${team.runners.join(' → ')}`).join(' · ');
+                places = [standings, `Legs: ${legs}`];
+            } else if (entry.type === 'split') {
+                // Each team in the order its members were dealt
+                const teams = entry.teams.map(team => `${team.name}: ${team.members.map(member => member.userName).join(', ')}`).join(' · ');
+                places = [teams];
+            } else if (entry.type === 'heat') {
+                // Qualifiers for the final are ticked
+                const order = entry.finishingOrder
+                    .map(f => `${f.place}. ${f.userName}${f.place <= entry.tournament.qualifiers ? ' ✓' : ''}`)
+                    .join(' · ');
+                places = [order];
+            } else if (entry.finishingOrder && entry.finishingOrder.length > 1) {
+                const runnersUp = entry.finishingOrder.slice(1, 3)
+                    .map(f => `${f.place === 2 ? '2nd' : '3rd'}: ${f.userName}${f.fell ? ' (fell)' : ''}`)
+                    .join(' · ');
+                places = [runnersUp];
+            }
+
+            let title = entry.type === 'standup' ? '🎤 Standup order' : entry.userName;
+            if (entry.setup && entry.setup.elimination) {
+                title = `⚔️ ${entry.userName} (last horse standing)`;
+            }
+            if (entry.winners) {
+                title = `${entry.winners.length} winners: ${Race.listNames(entry.winners.map(winner => winner.userName))}`;
+            }
+            if (entry.type === 'split') {
+                title = `👥 Split into ${entry.teams.length} teams`;
+            }
+            if (entry.type === 'relay') {
+                title = `🏃 ${entry.relay.team} win the relay (anchor: ${entry.userName})`;
+            }
+            if (entry.tournament) {
+                title = entry.tournament.stage === 'final'
+                    ? `🏆 ${entry.userName} (tournament champion)`
+                    : `🏁 Heat ${entry.tournament.heat} of ${entry.tournament.heats}: ${entry.userName}`;
+                const startedAt = tournamentStarts[entry.tournament.id];
+                places.push(`Tournament from race #${startedAt}`);
+            }
+
+            // Handicaps (or a relay's staggered start) the race started from, only for those off the line
+            if (entry.setup && entry.setup.handicaps) {
+                const handicaps = entry.setup.roster
+                    .map((user, index) => ({ name: user.name, offset: entry.setup.handicaps[index] }))
+                    .filter(handicap => handicap.offset !== 0)
+                    .map(handicap => `${handicap.name} ${handicap.offset > 0 ? '+' : '−'}${Math.abs(handicap.offset)}px`)
+                    .join(' · ');
+                const label = entry.type === 'relay' ? 'Staggered start' : 'Handicaps';
+                places.push(`${label}: ${handicaps}`);
+            }
+
+            // Pairs the draw (or the team split) kept apart
+            if (entry.setup && entry.setup.keepApart) {
+                const nameOf = userId => (entry.setup.roster.find(user => user.id === userId) || { name: userId }).name;
+                const pairs = entry.setup.keepApart.map(pair => pair.map(nameOf).join(' & ')).join(' · ');
+                places.push(`Kept apart: ${pairs}`);
+            }
+
             entryDiv.innerHTML = `
                 <span class="history-entry-number">Race #${entry.spinNumber}</span>
                 <span class="history-entry-time">${dateStr} ${timeStr}</span>
-                <span class="history-entry-name">${entry.userName}</span>
+                <span class="history-entry-name"></span>
             `;
 
+            // Names and team names are free text, so the title and every line go in as text
+            const nameSpan = entryDiv.querySelector('.history-entry-name');
+            nameSpan.textContent = title;
+            [...places, reason].filter(line => line).forEach(line => {
+                const lineSpan = document.createElement('span');
+                lineSpan.className = 'history-entry-reason';
+                lineSpan.textContent = line;
+                nameSpan.appendChild(lineSpan);
+            });
+
+            // Seed for re-runs, plus a verify link when the draw was committed before the race
+            // (seeds can come from a link, so they only go in as text)
+            if (entry.seed) {
+                const seedLine = document.createElement('span');
+                seedLine.className = 'history-entry-reason';
+                seedLine.title = `Enter this seed in Settings or add ?seed=${entry.seed} to the URL to re-run this race`;
+                seedLine.textContent = `Seed: ${entry.seed}`;
+                if (entry.commitment && entry.setup) {
+                    const reveal = ProvablyFair.buildReveal(entry.seed, entry.setup.roster, entry.setup.engine, entry.setup.winners, entry.setup.keepApart, entry.salt);
+                    const verifyLink = document.createElement('a');
+                    verifyLink.href = ProvablyFair.getVerifyUrl(reveal, entry.commitment);
+                    verifyLink.target = '_blank';
+                    verifyLink.rel = 'noopener';
+                    verifyLink.textContent = 'Verify';
+                    seedLine.append(' · ', verifyLink);
+                }
+                nameSpan.appendChild(seedLine);
+            }
+
+            // Races with a stored setup can be replayed exactly (older entries can't)
+            if (entry.seed && entry.setup) {
+                const replayButton = document.createElement('button');
+                replayButton.className = 'btn btn-secondary history-replay';
+                replayButton.textContent = '▶ Replay';
+                replayButton.title = 'Watch this race again (not recorded)';
+                replayButton.addEventListener('click', () => this.replayRace(entry));
+                entryDiv.appendChild(replayButton);
+            }
+
             entriesContainer.appendChild(entryDiv);
         });
     },
@@ -723,6 +1392,25 @@ const App = {
 
         statsContent.innerHTML = '';
 
+        // Odds for the next race under the current selection mode
+        const enabledUsers = Storage.getEnabledUsers();
+        const nextOdds = {};
+        Selection.getCurrentOdds(enabledUsers).forEach(o => {
+            nextOdds[o.userId] = o;
+        });
+
+        const summary = document.createElement('p');
+        summary.className = 'stat-summary';
+        const summaryParts = [`Selection mode: ${Selection.MODE_LABELS[Storage.getSetting('selectionMode')]}`];
+        if (Storage.getSetting('noRepeatWindow') > 0) {
+            summaryParts.push(`No-repeat window: ${Storage.getSetting('noRepeatWindow')}`);
+        }
+        if (Storage.getSetting('roundRobin')) {
+            summaryParts.push(`Round ${Selection.getRoundState(enabledUsers, Storage.getPickHistory()).number}`);
+        }
+        summary.textContent = summaryParts.join(' · ');
+        statsContent.appendChild(summary);
+
         // Sort by win count
         const sorted = Object.values(stats).sort((a, b) => b.winCount - a.winCount);
 
@@ -730,6 +1418,10 @@ const App = {
             const card = document.createElement('div');
             card.className = 'stat-card';
 
+            const odds = nextOdds[stat.user.id];
+            const nextOddsText = odds ? Selection.formatProbability(odds.probability) : 'Disabled';
+            const nextOddsReason = odds ? odds.reason : 'Not in the next race';
+
             card.innerHTML = `
                 <div class="stat-card-header">
                     <div class="stat-color" style="background-color: ${stat.user.color};"></div>
@@ -743,6 +1435,14 @@ const App = {
                     <span class="stat-label">Percentage</span>
                     <span class="stat-value">${stat.percentage}%</span>
                 </div>
+                <div class="stat-row" title="Share of wins the selection weights alone would give; the selection mode can shift each race's odds (see Next Race Odds)">
+                    <span class="stat-label">Expected Share (weights only)</span>
+                    <span class="stat-value">${stat.user.enabled !== false ? stat.expectedPercentage + '%' : 'Disabled'}</span>
+                </div>
+                <div class="stat-row" title="${nextOddsReason}">
+                    <span class="stat-label">Next Race Odds</span>
+                    <span class="stat-value">${nextOddsText}</span>
+                </div>
                 <div class="stat-row">
                     <span class="stat-label">Current Streak</span>
                     <span class="stat-value">${stat.currentStreak}</span>
@@ -772,6 +1472,18 @@ const App = {
         const commentaryToggle = document.getElementById('commentary-toggle');
         const voiceCommentaryToggle = document.getElementById('voice-commentary-toggle');
         const horseFallToggle = document.getElementById('horse-fall-toggle');
+        const steeplechaseToggle = document.getElementById('steeplechase-toggle');
+        const handicapToggle = document.getElementById('handicap-toggle');
+        const selectionMode = document.getElementById('selection-mode');
+        const noRepeatWindow = document.getElementById('no-repeat-window');
+        const roundRobinToggle = document.getElementById('round-robin-toggle');
+        const raceSeedInput = document.getElementById('race-seed-input');
+        const raceEngine = document.getElementById('race-engine');
+        const renderer = document.getElementById('renderer');
+        const raceCamera = document.getElementById('race-camera');
+        const trackTheme = document.getElementById('track-theme');
+        const tournamentHeatSize = document.getElementById('tournament-heat-size');
+        const tournamentQualifiers = document.getElementById('tournament-qualifiers');
         const resetApp = document.getElementById('reset-app');
 
         // Load current settings
@@ -784,6 +1496,19 @@ const App = {
         commentaryToggle.checked = settings.commentaryEnabled;
         if (voiceCommentaryToggle) voiceCommentaryToggle.checked = settings.voiceCommentaryEnabled;
         if (horseFallToggle) horseFallToggle.checked = settings.horseCanFall;
+        steeplechaseToggle.checked = settings.steeplechase;
+        handicapToggle.checked = settings.handicap;
+        selectionMode.value = settings.selectionMode;
+        roundRobinToggle.checked = settings.roundRobin;
+        raceSeedInput.value = settings.raceSeed;
+        raceEngine.value = settings.raceEngine;
+        renderer.value = settings.renderer;
+        raceCamera.value = settings.raceCamera;
+        trackTheme.value = settings.track;
+        tournamentHeatSize.value = settings.tournamentHeatSize;
+        document.getElementById('tournament-heat-size-display').textContent = settings.tournamentHeatSize;
+        tournamentQualifiers.value = settings.tournamentQualifiers;
+        this.updateNoRepeatWindowRange();
 
         // Spin duration
         spinDurationSlider.addEventListener('input', (e) => {
@@ -841,6 +1566,81 @@ const App = {
             });
         }
 
+        // Steeplechase toggle (shows or hides the fences straight away)
+        steeplechaseToggle.addEventListener('change', (e) => {
+            Storage.setSetting('steeplechase', e.target.checked);
+            if (!Race.isRacing) {
+                Race.render();
+            }
+        });
+
+        // Handicap starts: show the staggered gates on the idle track straight away
+        handicapToggle.addEventListener('change', (e) => {
+            Storage.setSetting('handicap', e.target.checked);
+            if (!Race.isRacing) {
+                Race.render();
+            }
+        });
+
+        // Selection mode
+        selectionMode.addEventListener('change', (e) => {
+            Storage.setSetting('selectionMode', e.target.value);
+        });
+
+        // No-repeat window
+        noRepeatWindow.addEventListener('input', (e) => {
+            document.getElementById('no-repeat-window-display').textContent = e.target.value;
+            Storage.setSetting('noRepeatWindow', parseInt(e.target.value));
+        });
+
+        // Rounds (everyone once before anyone twice)
+        roundRobinToggle.addEventListener('change', (e) => {
+            Storage.setSetting('roundRobin', e.target.checked);
+        });
+
+        // Race seed (blank = fresh random seed each race)
+        raceSeedInput.addEventListener('input', (e) => {
+            const seed = e.target.value.trim();
+            const valid = !seed || SeededRandom.isValidSeed(seed);
+            document.getElementById('race-seed-error').textContent = valid ? '' : 'Use letters, digits, - or _ only';
+            Storage.setSetting('raceSeed', valid ? seed : '');
+        });
+
+        // Race engine (scripted winner vs first past the post)
+        raceEngine.addEventListener('change', (e) => {
+            Storage.setSetting('raceEngine', e.target.value);
+        });
+
+        // Renderer (SVG or canvas); a race in progress keeps its renderer until it finishes
+        renderer.addEventListener('change', (e) => {
+            Storage.setSetting('renderer', e.target.value);
+            if (!Race.isRacing) {
+                Race.render();
+            }
+        });
+
+        // Track theme and layout; a race in progress stays on its track until it finishes
+        trackTheme.addEventListener('change', (e) => {
+            Storage.setSetting('track', e.target.value);
+            if (!Race.isRacing) {
+                Race.render();
+            }
+        });
+
+        // Camera (wide shot or follow the leaders); takes effect from the next race
+        raceCamera.addEventListener('change', (e) => {
+            Storage.setSetting('raceCamera', e.target.value);
+        });
+
+        // Tournament heat size and qualifiers; a tournament already under way keeps its draw
+        tournamentHeatSize.addEventListener('input', (e) => {
+            document.getElementById('tournament-heat-size-display').textContent = e.target.value;
+            Storage.setSetting('tournamentHeatSize', parseInt(e.target.value));
+        });
+        tournamentQualifiers.addEventListener('change', (e) => {
+            Storage.setSetting('tournamentQualifiers', parseInt(e.target.value));
+        });
+
         // Voice selector
         const voiceSelect = document.getElementById('voice-select');
         if (voiceSelect) {
@@ -971,6 +1771,22 @@ const App = {
                 return;
             }
 
+            // N for next standup speaker
+            if ((e.key === 'n' || e.key === 'N') && this.currentView === 'race' && this.standupQueue.length > 0) {
+                this.nextStandupSpeaker();
+                return;
+            }
+
+            // P to pause/resume and Escape to abort the current race (or a relay between legs)
+            if ((e.key === 'p' || e.key === 'P') && Race.isRacing) {
+                Race.togglePause();
+                return;
+            }
+            if (e.key === 'Escape' && (Race.isRacing || Race.handoverPlaying)) {
+                Race.abort();
+                return;
+            }
+
             // Alt+H for help
             if (e.altKey && (e.key === 'h' || e.key === 'H')) {
                 e.preventDefault();
@@ -1091,6 +1907,19 @@ const App = {
 
     // ==================== SHAREABLE LINK ====================
 
+    /**
+     * Check for a race seed in the URL (?seed=) to use for the next race
+     */
+    checkSeedParam() {
+        const params = new URLSearchParams(window.location.search);
+        const seed = params.get('seed');
+
+        // Same rule as the seed setting; anything else is ignored
+        if (seed && SeededRandom.isValidSeed(seed.trim())) {
+            this.pendingSeed = seed.trim();
+        }
+    },
+
     /**
      * Check for shareable link in URL
      */
@@ -0,0 +1,427 @@
+/**
+ * Canvas Renderer Module - Draws the race on a 2D canvas instead of SVG
+ * Same horse art, lanes and finish line as the SVG track, drawn from the race state each frame.
+ * Much cheaper than rewriting SVG transforms, so it holds frame rate with big rosters.
+ * The canvas sits over the SVG, which still provides the background and photo-finish overlay.
+ */
+
+const CanvasRenderer = {
+    canvas: null,
+    ctx: null,
+    svg: null,
+    active: false,
+    users: [],
+    viewBox: { x: 0, y: 0, width: 1000, height: 600 },
+    layout: null,       // Tracks layout: where each race position and lane is drawn
+    track: null,        // Tracks theme, for lane and label colors
+    fences: [],         // steeplechase fence positions (px along the race)
+    gates: [],          // handicap starting gate position (px along the race) per lane
+    parts: null,        // Path2D horse parts, built once
+    lastDraw: null,     // last draw() arguments, for redrawing on resize/zoom
+    fallStarts: {},     // userId -> time the fall animation started
+    supported: null,    // cached isSupported() result
+
+    // Gallop timing (matches the CSS animations on the SVG horses)
+    GALLOP_CYCLE: 220,
+    TAIL_CYCLE: 440,
+    FALL_DURATION: 600,
+    ELIMINATED_ALPHA: 0.35, // matches .race-horse.eliminated
+
+    /**
+     * Check whether the browser can draw on a 2D canvas
+     */
+    isSupported() {
+        if (this.supported === null) {
+            this.supported = typeof Path2D !== 'undefined' && !!document.createElement('canvas').getContext('2d');
+        }
+        return this.supported;
+    },
+
+    /**
+     * Create the canvas over the race track SVG (once)
+     */
+    mount(svg) {
+        if (this.canvas) return;
+
+        this.svg = svg;
+        this.canvas = document.createElement('canvas');
+        this.canvas.id = 'race-canvas';
+        this.canvas.className = 'race-canvas hidden';
+        svg.parentNode.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+        this.parts = this.buildHorseParts();
+
+        window.addEventListener('resize', () => {
+            if (this.active) this.redraw();
+        });
+    },
+
+    /**
+     * Switch between the canvas and the plain SVG track
+     */
+    setActive(active) {
+        this.active = active;
+        if (!this.canvas) return;
+
+        this.canvas.classList.toggle('hidden', !active);
+        this.svg.classList.toggle('canvas-mode', active);
+        if (active) this.redraw();
+    },
+
+    /**
+     * Set the lanes to draw, with every horse waiting at its start (starts: position per lane)
+     */
+    setRoster(users, starts, layout, track) {
+        this.users = users;
+        this.layout = layout;
+        this.track = track;
+        this.fallStarts = {};
+        this.draw(users.map((user, index) => ({
+            userId: user.id,
+            color: user.color,
+            position: starts[index],
+            hasFallen: false
+        })), { time: 0, racing: false, winnerIds: [] });
+    },
+
+    /**
+     * Set the steeplechase fences to draw (empty on the flat)
+     */
+    setFences(fences) {
+        this.fences = fences;
+        this.redraw();
+    },
+
+    /**
+     * Set the handicap starting gates to draw (empty when nobody is handicapped)
+     */
+    setGates(gates) {
+        this.gates = gates;
+        this.redraw();
+    },
+
+    /**
+     * Set the visible part of the track (same coordinates as the SVG viewBox)
+     * Pass redraw false when a draw() follows straight away anyway.
+     */
+    setViewBox(viewBox, redraw = true) {
+        this.viewBox = { ...viewBox };
+        if (redraw) this.redraw();
+    },
+
+    /**
+     * Draw the race
+     * horses: [{ userId, color, position, hasFallen, eliminated }] in lane order
+     * time: race clock in ms (drives the gallop, so it freezes while paused)
+     * winnerIds: horses to draw with the winner highlight
+     */
+    draw(horses, { time = 0, racing = false, winnerIds = [] } = {}) {
+        this.lastDraw = { horses, options: { time, racing, winnerIds } };
+        if (!this.active || !this.ctx || !this.layout) return;
+
+        const ctx = this.ctx;
+        const scale = this.fitToTrack();
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(scale.factor, 0, 0, scale.factor, scale.offsetX, scale.offsetY);
+
+        this.drawLanes();
+
+        horses.forEach((horse, index) => {
+            if (horse.hasFallen && this.fallStarts[horse.userId] === undefined) {
+                this.fallStarts[horse.userId] = time;
+            }
+            // Horses knocked out of an elimination race stand faded
+            ctx.globalAlpha = horse.eliminated ? this.ELIMINATED_ALPHA : 1;
+            this.drawHorse(horse, this.layout.place(horse.position, index), this.layout.horseScale, {
+                time: time + index * 37, // stagger strides so the field doesn't move in lockstep
+                racing: racing && !horse.hasFallen && !horse.eliminated,
+                fallProgress: horse.hasFallen ? Math.min(1, (time - this.fallStarts[horse.userId]) / this.FALL_DURATION) : 0,
+                isWinner: winnerIds.includes(horse.userId)
+            });
+        });
+        ctx.globalAlpha = 1;
+    },
+
+    /**
+     * Draw again with the last race state (after a resize or zoom)
+     */
+    redraw() {
+        if (this.lastDraw) {
+            this.draw(this.lastDraw.horses, this.lastDraw.options);
+        }
+    },
+
+    /**
+     * Size the canvas to the SVG's drawing area and work out the viewBox mapping
+     * (the same "xMidYMid meet" fit the SVG uses, so both layers line up)
+     */
+    fitToTrack() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.svg.clientWidth;
+        const height = this.svg.clientHeight;
+
+        this.canvas.style.left = `${this.svg.offsetLeft + this.svg.clientLeft}px`;
+        this.canvas.style.top = `${this.svg.offsetTop + this.svg.clientTop}px`;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+
+        const factor = Math.min(width / this.viewBox.width, height / this.viewBox.height) * ratio;
+        return {
+            factor,
+            offsetX: (this.canvas.width - this.viewBox.width * factor) / 2 - this.viewBox.x * factor,
+            offsetY: (this.canvas.height - this.viewBox.height * factor) / 2 - this.viewBox.y * factor
+        };
+    },
+
+    /**
+     * Draw the running surface, lane dividers, name labels and the finish line
+     */
+    drawLanes() {
+        const ctx = this.ctx;
+        const styles = getComputedStyle(document.documentElement);
+        const { laneDividers, surface, finishLine, laneSize } = this.layout;
+
+        if (surface) {
+            ctx.save();
+            ctx.fillStyle = this.track.surfaceColor;
+            ctx.fill(new Path2D(surface), 'evenodd');
+            ctx.restore();
+        }
+
+        ctx.save();
+        ctx.strokeStyle = this.track.laneColor || styles.getPropertyValue('--border-color').trim() || '#ddd';
+        ctx.lineWidth = 1.5;
+        ctx.globalAlpha = 0.5;
+        ctx.setLineDash([15, 10]);
+        laneDividers.forEach(path => ctx.stroke(new Path2D(path)));
+        ctx.restore();
+
+        // Steeplechase fences, a hurdle across every lane
+        ctx.save();
+        ctx.fillStyle = '#2e7d32';
+        this.fences.forEach(fenceX => {
+            this.users.forEach((user, index) => {
+                const { x, y, angle } = this.layout.place(fenceX, index);
+                ctx.save();
+                ctx.translate(x, y + laneSize * 0.1);
+                ctx.rotate(angle * Math.PI / 180);
+                ctx.fillRect(-3, -laneSize * 0.3, 6, laneSize * 0.6);
+                ctx.restore();
+            });
+        });
+        ctx.restore();
+
+        // Handicap starting gates, staggered lane by lane
+        ctx.save();
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#555555';
+        ctx.lineWidth = 1;
+        this.gates.forEach((gateX, index) => {
+            const { x, y, angle } = this.layout.place(gateX, index);
+            ctx.save();
+            ctx.translate(x, y);
+            ctx.rotate(angle * Math.PI / 180);
+            ctx.fillRect(-2, -laneSize * 0.45, 4, laneSize * 0.9);
+            ctx.strokeRect(-2, -laneSize * 0.45, 4, laneSize * 0.9);
+            ctx.restore();
+        });
+        ctx.restore();
+
+        // Finish line
+        ctx.save();
+        ctx.strokeStyle = '#FFD700';
+        ctx.lineWidth = 8;
+        ctx.setLineDash([20, 10]);
+        ctx.beginPath();
+        ctx.moveTo(finishLine.x, finishLine.y1);
+        ctx.lineTo(finishLine.x, finishLine.y2);
+        ctx.stroke();
+        ctx.restore();
+
+        // Name labels (truncated like the SVG labels)
+        ctx.save();
+        ctx.fillStyle = this.track.labelColor || styles.getPropertyValue('--text-primary').trim() || '#333';
+        ctx.font = `600 ${Math.min(16, Math.max(8, laneSize * 0.6))}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        this.users.forEach((user, index) => {
+            const text = user.label || user.name;
+            const name = text.length > 15 ? text.substring(0, 13) + '...' : text;
+            const label = this.layout.label(index);
+            ctx.textAlign = label.anchor === 'end' ? 'right' : 'left';
+            ctx.fillText(name, label.x, label.y);
+        });
+        ctx.restore();
+    },
+
+    /**
+     * Build the horse art as Path2D shapes in the horse's own coordinates
+     * (mirrors Race.createHorseSVG)
+     */
+    buildHorseParts() {
+        const roundRect = (path, x, y, width, height, radius) => {
+            if (path.roundRect) {
+                path.roundRect(x, y, width, height, radius);
+            } else {
+                path.rect(x, y, width, height);
+            }
+        };
+
+        const leg = new Path2D();
+        roundRect(leg, -2.5, 0, 5, 13, 1.5);
+        const hoof = new Path2D();
+        roundRect(hoof, -3, 12, 6, 3.5, 1);
+
+        const body = new Path2D();
+        body.ellipse(0, 2, 16, 8, 0, 0, Math.PI * 2);
+
+        const neck = new Path2D('M8,-1 L15,1 L18,-8 L12,-9 Z');
+        const mane = new Path2D('M9,-2 C8,-5 11,-7 14,-8 C12,-9 8,-7 8,-5 C7,-4 7,-2 9,-2');
+        const tail = new Path2D('M0,0 C-2,5 -4,10 -2,14 C-1,17 2,15 1,11 C0,8 1,3 3,0');
+
+        const head = new Path2D();
+        head.ellipse(7, 0, 9, 5, -20 * Math.PI / 180, 0, Math.PI * 2);
+        const ear = new Path2D('M3,-3 L5,-8 L8,-3 Z');
+        const earLine = new Path2D('M4,-4 L5,-6.5');
+        const eye = new Path2D();
+        eye.arc(11, -1, 2, 0, Math.PI * 2);
+        const eyeShine = new Path2D();
+        eyeShine.arc(11.7, -1.7, 0.7, 0, Math.PI * 2);
+        const nostril = new Path2D();
+        nostril.ellipse(16, 3, 1.8, 1.2, 0, 0, Math.PI * 2);
+
+        return { leg, hoof, body, neck, mane, tail, head, ear, earLine, eye, eyeShine, nostril };
+    },
+
+    /**
+     * Interpolate keyframes [[offset 0-1, value], ...] at a cycle phase (0-1)
+     */
+    keyframe(frames, phase) {
+        for (let i = 1; i < frames.length; i++) {
+            if (phase <= frames[i][0]) {
+                const [fromOffset, fromValue] = frames[i - 1];
+                const [toOffset, toValue] = frames[i];
+                return fromValue + (toValue - fromValue) * ((phase - fromOffset) / (toOffset - fromOffset));
+            }
+        }
+        return frames[frames.length - 1][1];
+    },
+
+    /**
+     * Draw one horse at its placement on the track ({ x, y, angle, flip } from the layout)
+     */
+    drawHorse(horse, { x, y, angle, flip }, horseScale, { time, racing, fallProgress, isWinner }) {
+        const ctx = this.ctx;
+        const parts = this.parts;
+        const dk = '#1a1a1a';
+        const hf = '#111111';
+        const deg = Math.PI / 180;
+        const jumping = horse.jump > 0;
+        const galloping = racing && !jumping && !horse.incident;
+        const phase = galloping ? (time % this.GALLOP_CYCLE) / this.GALLOP_CYCLE : 0;
+        const tailPhase = racing ? (time % this.TAIL_CYCLE) / this.TAIL_CYCLE : 0;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle * deg);
+        ctx.scale(flip ? -horseScale : horseScale, horseScale);
+
+        if (jumping) {
+            // The shadow stays on the ground while the horse goes over the fence
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+            ctx.beginPath();
+            ctx.ellipse(0, 24, 14, 3, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.translate(0, -horse.lift);
+        }
+
+        if (horse.incident === 'refuse') {
+            // Plant the back feet and rear up
+            ctx.translate(-12, 22);
+            ctx.rotate(this.keyframe([[0, 0], [0.25, -28], [0.6, -22], [1, 0]], horse.incidentProgress) * deg);
+            ctx.translate(12, -22);
+        } else if (horse.incident === 'unseat') {
+            // Peck on landing: pitch forward over the front feet, then recover
+            ctx.translate(12, 22);
+            ctx.rotate(this.keyframe([[0, 0], [0.2, 22], [0.5, 12], [1, 0]], horse.incidentProgress) * deg);
+            ctx.translate(-12, -22);
+        }
+
+        if (fallProgress > 0) {
+            // Tip forward onto the side, pivoting low on the body
+            const angle = this.keyframe([[0, 0], [0.4, 60], [0.7, 88], [0.85, 82], [1, 88]], fallProgress);
+            const drop = this.keyframe([[0, 0], [0.4, 4], [0.7, 10], [0.85, 8], [1, 10]], fallProgress);
+            ctx.translate(0, 8 + drop);
+            ctx.rotate(angle * deg);
+            ctx.translate(0, -8);
+        } else if (galloping) {
+            // Whole-body bounce and lean
+            ctx.translate(0, this.keyframe([[0, 0], [0.25, -7], [0.55, -5], [1, 0]], phase));
+            ctx.rotate(this.keyframe([[0, 0], [0.25, -4], [0.55, 2], [1, 0]], phase) * deg);
+        }
+
+        if (isWinner) {
+            ctx.shadowColor = 'rgba(255, 215, 0, 1)';
+            ctx.shadowBlur = 16;
+        }
+
+        // Over a fence the legs are tucked: fronts folded forward, backs trailing
+        const drawLeg = (x, frames, tucked) => {
+            ctx.save();
+            ctx.translate(x, 9);
+            ctx.rotate((jumping ? tucked : this.keyframe(frames, phase)) * deg);
+            ctx.fillStyle = horse.color;
+            ctx.fill(parts.leg);
+            ctx.fillStyle = hf;
+            ctx.fill(parts.hoof);
+            ctx.restore();
+        };
+
+        // Tail
+        ctx.save();
+        ctx.translate(-15 + this.keyframe([[0, 0], [0.4, -4], [1, 0]], tailPhase), 3 + this.keyframe([[0, 0], [0.4, 5], [1, 0]], tailPhase));
+        ctx.strokeStyle = dk;
+        ctx.lineWidth = 3.5;
+        ctx.lineCap = 'round';
+        ctx.stroke(parts.tail);
+        ctx.restore();
+
+        // Back legs, body, front legs
+        drawLeg(-13, [[0, 42], [0.35, -38], [1, 42]], 55);
+        drawLeg(-8, [[0, -38], [0.35, 42], [1, -38]], 60);
+        ctx.fillStyle = horse.color;
+        ctx.fill(parts.body);
+        drawLeg(8, [[0, 38], [0.35, -42], [1, 38]], -70);
+        drawLeg(13, [[0, -42], [0.35, 38], [1, -42]], -75);
+
+        // Neck and mane
+        ctx.fillStyle = horse.color;
+        ctx.fill(parts.neck);
+        ctx.fillStyle = dk;
+        ctx.fill(parts.mane);
+
+        // Head
+        ctx.save();
+        ctx.translate(13 + this.keyframe([[0, 0], [0.3, 2], [0.65, -1], [1, 0]], phase), -9 + this.keyframe([[0, 0], [0.3, -4], [0.65, 2], [1, 0]], phase));
+        ctx.fillStyle = horse.color;
+        ctx.fill(parts.head);
+        ctx.fill(parts.ear);
+        ctx.strokeStyle = dk;
+        ctx.lineWidth = 1.5;
+        ctx.lineCap = 'round';
+        ctx.stroke(parts.earLine);
+        ctx.fillStyle = dk;
+        ctx.fill(parts.eye);
+        ctx.fill(parts.nostril);
+        ctx.fillStyle = 'white';
+        ctx.fill(parts.eyeShine);
+        ctx.restore();
+
+        ctx.restore();
+    }
+};
@@ -0,0 +1,122 @@
+/**
+ * Provably Fair Module - Commit-reveal for race draws
+ * Before the horses move, the app publishes a SHA-256 commitment of the seed, roster and a secret salt.
+ * After the finish it reveals them, so anyone can check the hash and recompute the winner.
+ */
+
+const ProvablyFair = {
+    // Bump if the reveal format ever changes, so old commitments still verify
+    VERSION: 1,
+
+    /**
+     * Check whether the browser can compute commitments (needs a secure context)
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+
+    /**
+     * Secret mixed into one race's commitment (128 random bits), revealed with the seed at the finish
+     */
+    generateSalt() {
+        return SeededRandom.generateSeed();
+    },
+
+    /**
+     * Build the reveal text: the exact string that was hashed for the commitment
+     * Roster entries need id, name and probability (the odds used for the draw).
+     * The salt keeps the commitment from being searched: the generator only has 2^32 states and the
+     * roster is public, so without it a guessable seed could be found from the hash before the finish.
+     * The salt is left out of older reveals, the engine is only included for emergent races and the
+     * winner count only for multi-winner races (with any pairs of user ids kept apart), so single-winner
+     * scripted reveals keep their original format.
+     */
+    buildReveal(seed, roster, engine = 'scripted', winners = 1, keepApart = null, salt = null) {
+        const data = {
+            v: this.VERSION,
+            seed: String(seed)
+        };
+        if (salt) {
+            data.salt = salt;
+        }
+        if (engine === 'emergent') {
+            data.engine = engine;
+        }
+        if (winners > 1) {
+            data.winners = winners;
+            if (keepApart && keepApart.length > 0) {
+                data.apart = keepApart;
+            }
+        }
+        data.roster = roster.map(user => ({
+            id: user.id,
+            name: user.name,
+            probability: user.probability
+        }));
+        return JSON.stringify(data);
+    },
+
+    /**
+     * Commit to a reveal text: resolves with its SHA-256 hash as hex
+     */
+    async commit(reveal) {
+        const bytes = new TextEncoder().encode(reveal);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    /**
+     * Recompute the winners from a reveal, in finishing order
+     * Scripted races: the winner pick is the first draw from the race's seeded generator
+     * (multi-winner races draw each winner in turn).
+     * Emergent races: the first draws are everyone's finish clocks and the shortest clocks win.
+     * Pairs kept apart are applied to the draw exactly as the race did.
+     * Winners without a finish clock (no chance in the draw) are placed by the race itself, so
+     * they aren't listed.
+     */
+    computeWinners(reveal) {
+        const data = JSON.parse(reveal);
+        const random = SeededRandom.create(data.seed);
+        const count = data.winners || 1;
+        const apart = Selection.toIndexPairs(data.roster, data.apart || []);
+
+        if (data.engine === 'emergent') {
+            let clocks = Selection.drawFinishClocks(data.roster, random);
+            if (apart.length > 0) {
+                clocks = Selection.separateClocks(clocks, count, apart);
+            }
+            const fastest = Math.min(...clocks);
+            const tied = clocks.map((clock, index) => clock === fastest ? index : -1).filter(index => index !== -1);
+            const winnerIndex = tied.length > 1 ? Selection.breakTie(tied, data.seed) : tied[0];
+            const others = clocks.map((clock, index) => index)
+                .filter(index => index !== winnerIndex && Number.isFinite(clocks[index]))
+                .sort((a, b) => clocks[a] - clocks[b]);
+            return [winnerIndex, ...others].slice(0, count).map(index => data.roster[index]);
+        }
+
+        const winners = count > 1 ? Selection.pickWinners(data.roster, count, random, apart) : [Selection.pickIndex(data.roster, random)];
+        return winners.map(index => data.roster[index]);
+    },
+
+    /**
+     * Verify a reveal against its commitment
+     * Resolves with { hashMatches, winners } where winners are the recomputed winners
+     */
+    async verify(reveal, commitment) {
+        const hash = await this.commit(reveal);
+        return {
+            hashMatches: hash === String(commitment).trim().toLowerCase(),
+            winners: this.computeWinners(reveal)
+        };
+    },
+
+    /**
+     * Build a link to the standalone verify page for a revealed draw
+     */
+    getVerifyUrl(reveal, commitment) {
+        const params = new URLSearchParams({ commitment, reveal });
+        return `verify.html?${params.toString()}`;
+    }
+};
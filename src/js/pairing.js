@@ -0,0 +1,172 @@
+/**
+ * Pairing Module - Rules about who may be grouped together in multi-pick races
+ * Pairs set in the Users tab are never grouped, and pairs who shared a group in the last few
+ * sessions (multi-winner races and saved team splits) aren't grouped again. Multi-winner draws
+ * and team splits respect both, or explain before the race why they can't.
+ */
+
+const Pairing = {
+    LIST_LIMIT: 5, // pairs named in an explanation before the rest are just counted
+
+    /**
+     * Groups a history entry put together: the winners of a multi-winner race, or each team of a split
+     */
+    getGroups(entry) {
+        if (entry.teams) return entry.teams.map(team => team.members.map(member => member.userId));
+        if (entry.winners) return [entry.winners.map(winner => winner.userId)];
+        return [];
+    },
+
+    /**
+     * Pairs of user ids who shared a group in the last sessions grouping entries of history
+     */
+    getRecentPairs(sessions) {
+        if (sessions <= 0) return [];
+
+        const pairs = [];
+        Storage.getHistory()
+            .filter(entry => this.getGroups(entry).length > 0)
+            .slice(-sessions)
+            .forEach(entry => this.getGroups(entry).forEach(group => {
+                group.forEach((userId, index) => {
+                    group.slice(index + 1).forEach(otherId => pairs.push([userId, otherId]));
+                });
+            }));
+        return pairs;
+    },
+
+    /**
+     * Every pair among the users that must be kept apart: { userIds, recent }, recent being
+     * false for a never-pair rule and true for a pair from the last sessions
+     */
+    getConstraints(users) {
+        const ids = new Set(users.map(user => user.id));
+        const seen = new Set();
+        const constraints = [];
+        const add = (userIds, recent) => {
+            const key = [...userIds].sort().join('|');
+            if (!ids.has(userIds[0]) || !ids.has(userIds[1]) || seen.has(key)) return;
+            seen.add(key);
+            constraints.push({ userIds, recent });
+        };
+
+        Storage.getPairExclusions().forEach(pair => add(pair, false));
+        this.getRecentPairs(Storage.getSetting('pairRepeatWindow')).forEach(pair => add(pair, true));
+        return constraints;
+    },
+
+    /**
+     * Check that count winners can be picked from the users without breaking the constraints
+     * Returns null when they can, otherwise why not
+     */
+    checkWinners(users, count, constraints) {
+        const fits = (list, budget) => Selection.canCompleteGroup(
+            [],
+            users.map((user, index) => index),
+            count,
+            Selection.getConflicts(users.length, Selection.toIndexPairs(users, list.map(c => c.userIds))),
+            budget
+        );
+        return this.explain(fits, constraints, `pick ${count} winners`);
+    },
+
+    /**
+     * Check that the users can be split into teamCount teams without breaking the constraints
+     * Returns null when they can, otherwise why not
+     */
+    checkTeams(users, teamCount, constraints) {
+        const fits = (list, budget) => this.dealTeams(users.map(user => user.id), teamCount, list.map(c => c.userIds), budget) !== null;
+        return this.explain(fits, constraints, `split ${users.length} people into ${teamCount} teams`);
+    },
+
+    /**
+     * Explain why a task doesn't fit: the never-pair rules on their own, or the recent pairs on top
+     * fits(list, budget) uses up budget.steps; a search that runs out is too big to blame on any rule
+     */
+    explain(fits, constraints, task) {
+        const tooMany = this.explainTooMany(task);
+        const budget = { steps: Selection.SEARCH_LIMIT };
+        if (fits(constraints, budget)) return null;
+        if (budget.steps < 0) return tooMany;
+
+        const rules = constraints.filter(c => !c.recent);
+        const rulesBudget = { steps: Selection.SEARCH_LIMIT };
+        if (!fits(rules, rulesBudget)) {
+            if (rulesBudget.steps < 0) return tooMany;
+            return `Can't ${task} without grouping people who must never be paired (${this.listPairs(rules)}). ` +
+                'Remove a pairing rule in the Users tab or change the number.';
+        }
+
+        const sessions = Storage.getSetting('pairRepeatWindow');
+        return `Can't ${task} without repeating a pair from the last ${sessions} session${sessions === 1 ? '' : 's'} ` +
+            `(${this.listPairs(constraints.filter(c => c.recent))}). Lower "Avoid repeat pairs" in the Users tab.`;
+    },
+
+    /**
+     * Explain a task whose search ran out of steps before it could meet or rule out the pairing rules
+     */
+    explainTooMany(task) {
+        return `Can't ${task}: there are too many pairing rules to check them all. ` +
+            'Remove some pairing rules or lower "Avoid repeat pairs" in the Users tab.';
+    },
+
+    /**
+     * Name the pairs, e.g. "Alice & Bob, Carol & Dan and 3 more"
+     */
+    listPairs(constraints) {
+        const names = constraints.slice(0, this.LIST_LIMIT).map(c => c.userIds.map(id => {
+            const user = Storage.getUser(id);
+            return user ? user.name : id;
+        }).join(' & '));
+        const more = constraints.length - names.length;
+        return more > 0 ? `${names.join(', ')} and ${more} more` : names.join(', ');
+    },
+
+    /**
+     * Deal people (in finishing order) into teams snake-draft style, keeping every pair in keepApart
+     * on different teams. Each person goes to their snake-draft team when they fit there, otherwise to
+     * the nearest team that fits, backing up when someone fits nowhere. Team sizes never differ by more than one.
+     * Returns each team's positions in ids, or null when no deal keeps every pair apart (or the
+     * search runs out of budget.steps first)
+     */
+    dealTeams(ids, teamCount, keepApart = [], budget = { steps: Selection.SEARCH_LIMIT }) {
+        const conflicts = Selection.getConflicts(ids.length, Selection.toIndexPairs(ids.map(id => ({ id })), keepApart));
+        const maxSize = Math.ceil(ids.length / teamCount);
+        const fullTeamsAllowed = ids.length % teamCount || teamCount; // teams that may reach maxSize
+        const teams = Array.from({ length: teamCount }, () => []);
+        let fullTeams = 0;
+
+        const place = position => {
+            if (position === ids.length) return true;
+
+            const round = Math.floor(position / teamCount);
+            const slot = position % teamCount;
+            const snake = round % 2 === 0 ? slot : teamCount - 1 - slot;
+            const order = teams.map((team, index) => index)
+                .sort((a, b) => Math.abs(a - snake) - Math.abs(b - snake) || a - b);
+
+            let triedEmpty = false;
+            for (const index of order) {
+                if (--budget.steps < 0) return false;
+
+                const team = teams[index];
+                if (team.length === maxSize || (team.length === maxSize - 1 && fullTeams === fullTeamsAllowed)) continue;
+                if (team.some(member => conflicts[member].has(position))) continue;
+                // Empty teams are interchangeable, so one failed empty team rules out the rest
+                if (team.length === 0) {
+                    if (triedEmpty) continue;
+                    triedEmpty = true;
+                }
+
+                team.push(position);
+                if (team.length === maxSize) fullTeams++;
+                if (place(position + 1)) return true;
+                if (team.length === maxSize) fullTeams--;
+                team.pop();
+            }
+            return false;
+        };
+
+        return place(0) ? teams : null;
+    }
+};
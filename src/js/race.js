@@ -3,169 +3,89 @@
  * Manages race track display, animations, and result calculation
  */
 
-/**
- * HorseState Class - Manages individual horse position and velocity during race
- */
-class HorseState {
-    constructor(index, userId, userName, color, isWinner, totalDuration, raceDistance) {
-        this.index = index;
-        this.userId = userId;
-        this.userName = userName;
-        this.color = color;
-        this.isWinner = isWinner;
-        this.hasFallen = false;
-        this.position = 50; // Start position (pixels from left)
-        this.raceDistance = raceDistance;
-        this.totalDuration = totalDuration;
-
-        // Calculate base speed (pixels per millisecond)
-        this.baseSpeed = this.raceDistance / this.totalDuration;
-        this.velocity = this.baseSpeed;
-
-        // Generate random speed change events
-        this.speedChanges = this.generateSpeedChanges();
-        this.currentSpeedIndex = 0;
-
-        // Track when final stretch begins (last 30% of race)
-        this.finalStretchStart = this.totalDuration * 0.7;
-
-        // Random finish position for non-winners (85-96% of race distance)
-        // This adds variety and prevents all horses from stopping at the same place
-        this.maxFinishPercent = 0.85 + (Math.random() * 0.11);
-
-        // Random slowdown characteristics for non-winners
-        this.slowdownRate = 0.5 + (Math.random() * 0.3); // 0.5 to 0.8
-
-        // When non-winners start slowing (30-50% through race)
-        this.slowdownStart = this.totalDuration * (0.3 + Math.random() * 0.2);
-    }
-
-    /**
-     * Generate random speed change events throughout the race
-     */
-    generateSpeedChanges() {
-        const changes = [];
-        const numChanges = 6 + Math.floor(Math.random() * 5); // 6-10 changes
-
-        for (let i = 0; i < numChanges; i++) {
-            const timePoint = (this.totalDuration / (numChanges + 1)) * (i + 1);
-
-            // More variation in speed for competitive racing
-            // Winner and non-winners get same speed variations initially
-            const speedMultiplier = 0.6 + Math.random() * 1.2; // 0.6x to 1.8x base speed
-
-            changes.push({
-                time: timePoint,
-                multiplier: speedMultiplier
-            });
-        }
-
-        return changes.sort((a, b) => a.time - b.time);
-    }
-
-    /**
-     * Update horse position based on elapsed time
-     */
-    update(elapsedTime, deltaTime) {
-        // Use actual delta time for frame-rate independent animation
-        // Cap deltaTime to prevent huge jumps if tab was backgrounded
-        const cappedDeltaTime = Math.min(deltaTime, 50);
-
-        // Apply speed changes at scheduled times (only before final stretch for non-winners)
-        if (this.isWinner || elapsedTime < this.finalStretchStart) {
-            while (this.currentSpeedIndex < this.speedChanges.length &&
-                   elapsedTime >= this.speedChanges[this.currentSpeedIndex].time) {
-                const change = this.speedChanges[this.currentSpeedIndex];
-                this.velocity = this.baseSpeed * change.multiplier;
-                this.currentSpeedIndex++;
-            }
-        }
-
-        // Calculate movement based on whether this is the winner
-        let movement = 0;
-
-        // Calculate movement based on winner vs non-winner
-        if (this.isWinner) {
-            // WINNER LOGIC: Maintain speed and get boost in final stretch
-            if (elapsedTime >= this.finalStretchStart) {
-                // In final 30%, winner gets progressive speed boost
-                const finalProgress = (elapsedTime - this.finalStretchStart) / (this.totalDuration - this.finalStretchStart);
-                const boost = 1 + (finalProgress * 0.8); // Up to 1.8x boost in final stretch
-                movement = this.baseSpeed * cappedDeltaTime * boost;
-
-                // Ensure winner crosses finish line by end
-                const targetPosition = 50 + this.raceDistance;
-                const minPosition = 50 + (this.raceDistance * (0.7 + (finalProgress * 0.3)));
-                if (this.position < minPosition) {
-                    this.position = minPosition;
-                }
-            } else {
-                // Before final stretch - use current velocity from speed changes
-                movement = this.velocity * cappedDeltaTime;
-            }
-        } else {
-            // NON-WINNER LOGIC: Progressive slowdown throughout race
-            const targetPosition = 50 + (this.raceDistance * this.maxFinishPercent);
-            const distanceRemaining = targetPosition - this.position;
-
-            if (elapsedTime < this.slowdownStart) {
-                // Early race (before slowdown starts) - normal variable speed
-                movement = this.velocity * cappedDeltaTime;
-            } else {
-                // After slowdown starts - gradual deceleration throughout remainder of race
-                const slowdownDuration = this.totalDuration - this.slowdownStart;
-                const slowdownProgress = (elapsedTime - this.slowdownStart) / slowdownDuration;
-
-                // Progressive slowdown: start at current speed, end at ~30-40% speed
-                // Curve the slowdown - slow more gradually at first, then more rapidly
-                const slowdownCurve = Math.pow(slowdownProgress, 1.5);
-                const speedMultiplier = 1 - (slowdownCurve * this.slowdownRate);
-
-                // Also factor in distance remaining to target
-                let distanceFactor = 1.0;
-                if (distanceRemaining > 0 && distanceRemaining < 200) {
-                    // Close to target - slow down more based on proximity
-                    distanceFactor = Math.max(0.4, distanceRemaining / 200);
-                } else if (distanceRemaining <= 0) {
-                    // Past target - maintain minimum speed
-                    distanceFactor = 0.3;
-                }
-
-                // Combine factors and ensure minimum speed
-                const finalSpeedMultiplier = Math.max(0.3, speedMultiplier * distanceFactor);
-                this.velocity = this.baseSpeed * finalSpeedMultiplier;
-                movement = this.velocity * cappedDeltaTime;
-            }
-        }
-
-        // Apply the movement - always move forward
-        this.position += movement;
-
-        // Ensure winner finishes
-        if (this.isWinner && elapsedTime >= this.totalDuration * 0.95) {
-            const targetPosition = 50 + this.raceDistance;
-            if (this.position < targetPosition) {
-                this.position = targetPosition;
-            }
-        }
-    }
-}
-
 const Race = {
     // State
     isRacing: false,
     users: [],
-    horses: [], // HorseState instances
+    horses: [], // display state per lane: { index, userId, userName, color, position, hasFallen, eliminated, isWinner }
     finishLineX: 950,
     startLineX: 50,
     raceDistance: 900,
     animationFrameId: null,
-    startTime: null,
-    lastFrameTime: null,
+    startTime: null,    // race clock time the animation started (null until the horses move)
+    isPaused: false,
+    autoPaused: false,  // paused because the tab was hidden (resumes when it's visible again)
+    pausedAt: null,     // performance.now() when the race was paused
+    pausedTotal: 0,     // ms spent paused this race, taken out of the race clock
+    onComplete: null,   // completion callback for the current race (to re-arm the safety timeout)
+    photoFinishPlaying: false,
+    timeline: null,     // Simulation.run() output for the current race
+    nextEventIndex: 0,  // first timeline event not yet shown
     duration: 7000,
+    seed: null,         // seed of the current race
+    commitment: null,   // SHA-256 commitment of the seed and roster, shown before the start
+    salt: null,         // secret in the commitment, revealed with the seed at the finish
+    raceNumber: 0,      // increments every race so late async callbacks can tell they're stale
     selectedUser: null,
     selectedIndex: -1,
+    selectedUsers: [],  // every winner, in finishing order (just selectedUser unless several win)
+    winnerCount: 1,     // how many of the top finishers win the current race
+    keepApart: [],      // pairs of user ids that mustn't both win the current race
+    selectionOdds: [],  // per-user odds used for the current race
+    raceOptions: {},    // options passed to race() for the current race
+    engine: 'scripted', // 'scripted' draws the winner up front, 'emergent' lets the first horse past the post win
+    useCanvas: false,   // draw with CanvasRenderer instead of SVG (renderer setting)
+    highlightedUserIds: [], // winners glowing on the canvas
+    track: null,        // Tracks theme in use
+    layout: null,       // Tracks layout: where each race position and lane is drawn
+    steeplechase: false, // current race is run over fences
+    fences: [],         // fence positions (px along the race), empty on the flat
+    elimination: false, // current race knocks out the last-placed horse at checkpoints
+    startOffsets: [],   // handicap: px each lane starts ahead of (+) or behind (-) the start line
+    camera: 'wide',     // 'wide' shows the whole track, 'follow' tracks the leading pack
+    cameraViewBox: null, // current window while the follow camera is filming
+    cameraTime: null,   // race time the camera last moved at
     raceTimeoutId: null,
+    handoverPlaying: false, // relay baton changing hands between legs
+    handoverTimeoutId: null,
+    handoverFrameId: null,
+
+    // Track size: the whole track's viewBox, which grows taller for big rosters
+    trackViewBox: { x: 0, y: 0, width: 1000, height: 600 },
+    MIN_TRACK_HEIGHT: 600,
+    MIN_LANE_HEIGHT: 36,         // lanes never get thinner than this, the track scrolls instead
+
+    // Follow camera: keep the leading pack in frame, then pull back for the finish
+    CAMERA_MIN_WIDTH: 400,   // never zoom in further than this many track units across
+    CAMERA_PACK_SIZE: 3,     // the leader and the next two horses make the leading pack...
+    CAMERA_PACK_GAP: 250,    // ...as long as they're within this distance of the leader
+    CAMERA_MARGIN: 80,       // room around the pack
+    CAMERA_EASE: 350,        // ms for the camera to close most of the gap to its target
+    CAMERA_WIDE_LEAD: 800,   // ms before the first horse finishes that the camera pulls back
+
+    // Steeplechase jumps: horses leave the ground half a jump before each fence
+    JUMP_LENGTH: 50,             // px of race travelled from take-off to landing
+    JUMP_HEIGHT: 16,             // px at the top of the jump
+    FENCE_NAMES: ['first', 'second', 'third', 'fourth', 'fifth', 'sixth'],
+
+    // Elimination races are one long race: this many times the usual duration
+    ELIMINATION_LENGTH: 2,
+
+    // Handicap starts: recent winners start up to this far (px) behind the line, long-unpicked users
+    // up to this far ahead. Each horse is paced over its own distance, so the odds don't change.
+    HANDICAP_MAX: 40,
+
+    // Relay handover: the leg result stays up for a moment, then the baton passes to the next runners
+    HANDOVER_DELAY: 1500,
+    HANDOVER_DURATION: 900,
+
+    // Photo finish camera: replay the run-in slowly, zoomed onto the line, then hold a freeze frame
+    PHOTO_FINISH_MIN_WIDTH: 240, // narrowest camera window, so tall tracks still show the run-in
+    PHOTO_FINISH_LEAD_IN: 1000,  // ms of race replayed before the leader hits the line
+    PHOTO_FINISH_SPEED: 0.25,    // slow-motion playback rate
+    PHOTO_FINISH_HOLD: 2000,     // ms the freeze frame stays up
+    HORSE_NOSE_OFFSET: 29,       // px from a horse's position to the tip of its nose
+    HORSE_LENGTH: 45,            // px, for describing margins in lengths
 
     // Commentary state
     lastCommentaryUpdate: 0,
@@ -174,11 +94,6 @@ const Race = {
     previousPositions: [],
     britishMaleVoice: null,
 
-    // Fall state
-    fallenHorseUserId: null,  // userId of the horse that will fall (null = none)
-    fallTime: -1,             // elapsed ms when the fall triggers
-    hasFallen: false,         // true once fall has been triggered this race
-
     /**
      * Initialize race module
      */
@@ -186,6 +101,21 @@ const Race = {
         this.users = Storage.getUsers();
         this.render();
         this.loadBritishVoice();
+
+        // Animation frames stop in background tabs, so pause rather than finish the race unseen
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+
+        // Keep the minimap's viewport outline in step with the tall track, and jump on click
+        const container = document.querySelector('.race-container');
+        const minimap = document.getElementById('race-minimap');
+        if (container && minimap) {
+            container.addEventListener('scroll', () => this.updateMinimapViewport());
+            minimap.addEventListener('click', (e) => {
+                const bounds = minimap.querySelector('svg').getBoundingClientRect();
+                if (!bounds.height) return;
+                this.scrollTrackTo((e.clientY - bounds.top) / bounds.height * this.trackViewBox.height);
+            });
+        }
     },
 
     /**
@@ -224,13 +154,25 @@ const Race = {
 
     /**
      * Render the race track with current users
+     * startOffsets gives each lane's handicap (e.g. when re-running a race); by default it's
+     * worked out from history when handicap starts are on. During a relay handover the track
+     * keeps the relay's runners unless given another roster
      */
-    render() {
+    render(users = null, startOffsets = null) {
         const raceTrack = document.getElementById('race-track');
         if (!raceTrack) return;
 
-        // Only render enabled users
-        this.users = Storage.getEnabledUsers();
+        if (!users && this.handoverPlaying) {
+            users = this.users;
+            startOffsets = this.startOffsets;
+        }
+        users = users || Storage.getEnabledUsers();
+
+        // Only render enabled users (or the given roster, e.g. when re-running a race)
+        this.users = users;
+        this.startOffsets = startOffsets
+            ? users.map((user, index) => startOffsets[index] || 0)
+            : this.getHandicaps(users);
 
         // Clear existing content
         const lanesGroup = raceTrack.querySelector('#lanes');
@@ -239,36 +181,73 @@ const Race = {
         if (lanesGroup) lanesGroup.innerHTML = '';
         if (horsesGroup) horsesGroup.innerHTML = '';
 
+        // Big rosters get a taller track (scrolled, with a minimap) instead of squashed lanes
+        this.track = Tracks.getTheme(Storage.getSetting('track'));
+        const oval = this.track.layout === 'oval' && this.users.length <= Tracks.OVAL_MAX_RACERS;
+        this.setTrackHeight(oval
+            ? this.MIN_TRACK_HEIGHT
+            : Math.max(this.MIN_TRACK_HEIGHT, this.users.length * this.MIN_LANE_HEIGHT));
+        this.layout = Tracks.getLayout(this.track, {
+            racers: this.users.length,
+            width: this.trackViewBox.width,
+            height: this.trackViewBox.height,
+            startX: this.startLineX,
+            finishX: this.finishLineX
+        });
+        this.applyTrackTheme();
+        this.renderMinimap();
+
+        // The canvas renderer draws lanes and horses itself; the SVG only keeps the background
+        this.useCanvas = Storage.getSetting('renderer') === 'canvas' && CanvasRenderer.isSupported();
+        if (this.useCanvas) {
+            CanvasRenderer.mount(raceTrack);
+        }
+        CanvasRenderer.setActive(this.useCanvas);
+        this.highlightedUserIds = [];
+        this.fences = Storage.getSetting('steeplechase') ? Simulation.getFencePositions() : [];
+        this.renderFences();
+        this.renderGates();
+        if (this.useCanvas) {
+            CanvasRenderer.setRoster(this.users, this.getStartPositions(), this.layout, this.track);
+            return;
+        }
+
         if (this.users.length === 0) return;
 
-        // Calculate lane height and positions
-        const trackHeight = 600;
-        const laneHeight = trackHeight / this.users.length;
+        // Running surface (layouts that don't cover the whole track)
+        if (this.layout.surface) {
+            const surface = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            surface.setAttribute('class', 'race-surface');
+            surface.setAttribute('d', this.layout.surface);
+            surface.setAttribute('fill', this.track.surfaceColor);
+            surface.setAttribute('fill-rule', 'evenodd');
+            lanesGroup.appendChild(surface);
+        }
+
+        // Lane divider lines
+        this.layout.laneDividers.forEach(path => {
+            const laneLine = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            laneLine.setAttribute('class', 'race-lane');
+            laneLine.setAttribute('d', path);
+            if (this.track.laneColor) laneLine.style.stroke = this.track.laneColor;
+            lanesGroup.appendChild(laneLine);
+        });
 
-        // Draw lanes
+        // Draw lane labels
         this.users.forEach((user, index) => {
-            const laneY = (index + 0.5) * laneHeight;
-
-            // Lane divider line (except for last lane)
-            if (index < this.users.length - 1) {
-                const laneLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                laneLine.setAttribute('class', 'race-lane');
-                laneLine.setAttribute('x1', '0');
-                laneLine.setAttribute('y1', (index + 1) * laneHeight);
-                laneLine.setAttribute('x2', '1000');
-                laneLine.setAttribute('y2', (index + 1) * laneHeight);
-                lanesGroup.appendChild(laneLine);
-            }
+            const label = this.layout.label(index);
 
             // User name label at start of lane
             const nameLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
             nameLabel.setAttribute('class', 'race-name-label');
-            nameLabel.setAttribute('x', '10');
-            nameLabel.setAttribute('y', laneY);
-            nameLabel.setAttribute('text-anchor', 'start');
+            nameLabel.setAttribute('x', label.x);
+            nameLabel.setAttribute('y', label.y);
+            nameLabel.setAttribute('text-anchor', label.anchor);
             nameLabel.setAttribute('dominant-baseline', 'middle');
+            if (this.track.labelColor) nameLabel.style.fill = this.track.labelColor;
+            if (this.layout.laneSize < 20) nameLabel.style.fontSize = `${Math.max(8, this.layout.laneSize * 0.8)}px`;
 
-            let displayName = user.name;
+            let displayName = user.label || user.name;
             if (displayName.length > 15) {
                 displayName = displayName.substring(0, 13) + '...';
             }
@@ -277,13 +256,154 @@ const Race = {
         });
 
         // Create horse SVGs
+        const starts = this.getStartPositions();
         this.users.forEach((user, index) => {
-            const laneY = (index + 0.5) * laneHeight;
-            const horseGroup = this.createHorseSVG(user, this.startLineX, laneY, index);
+            const start = this.layout.place(starts[index], index);
+            const horseGroup = this.createHorseSVG(user, start.x, start.y, index);
+            horseGroup.setAttribute('transform', this.getHorseTransform(starts[index], index));
             horsesGroup.appendChild(horseGroup);
         });
     },
 
+    /**
+     * Apply the track theme: background and finish line
+     */
+    applyTrackTheme() {
+        const raceTrack = document.getElementById('race-track');
+        if (raceTrack) {
+            raceTrack.style.background = this.track.background || '';
+        }
+
+        const { x, y1, y2 } = this.layout.finishLine;
+        const finishLine = document.getElementById('finish-line');
+        if (finishLine) {
+            finishLine.setAttribute('x1', x);
+            finishLine.setAttribute('x2', x);
+            finishLine.setAttribute('y1', y1);
+            finishLine.setAttribute('y2', y2);
+        }
+    },
+
+    /**
+     * Draw the steeplechase fences: a hurdle across every lane at each fence
+     */
+    renderFences() {
+        const fencesGroup = document.getElementById('fences');
+        if (fencesGroup) fencesGroup.innerHTML = '';
+        CanvasRenderer.setFences(this.useCanvas ? this.fences : []);
+        if (!fencesGroup || this.useCanvas || !this.layout) return;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const size = this.layout.laneSize;
+        this.fences.forEach(fenceX => {
+            this.users.forEach((user, index) => {
+                const { x, y, angle } = this.layout.place(fenceX, index);
+                const fence = document.createElementNS(svgNS, 'rect');
+                fence.setAttribute('class', 'race-fence');
+                fence.setAttribute('x', -3);
+                fence.setAttribute('y', -size * 0.3);
+                fence.setAttribute('width', 6);
+                fence.setAttribute('height', size * 0.6);
+                fence.setAttribute('rx', 2);
+                fence.setAttribute('transform', `translate(${x}, ${y + size * 0.1}) rotate(${angle})`);
+                fencesGroup.appendChild(fence);
+            });
+        });
+    },
+
+    /**
+     * Work out each user's handicap from the pick history (all zero when handicap starts are off)
+     * A user's offset follows the races since they last won, compared with the roster size:
+     * the last winner starts furthest back, a user who hasn't won for twice the roster size
+     * furthest ahead. Users who have never won never start behind.
+     */
+    getHandicaps(users) {
+        const history = Storage.getPickHistory();
+        if (!Storage.getSetting('handicap') || history.length === 0) return users.map(() => 0);
+
+        return users.map(user => {
+            const { races, hasWon } = Selection.getRacesSinceWin(user, history);
+            const share = Math.max(-1, Math.min(1, (races - users.length) / users.length));
+            return Math.round(this.HANDICAP_MAX * (hasWon ? share : Math.max(0, share)));
+        });
+    },
+
+    /**
+     * Get each lane's start position (the start line moved by its handicap)
+     */
+    getStartPositions() {
+        return this.users.map((user, index) => this.startLineX + (this.startOffsets[index] || 0));
+    },
+
+    /**
+     * Draw the staggered starting gates, one per lane at the nose of each horse waiting to start
+     * (only when a handicap is in play)
+     */
+    renderGates() {
+        const gatesGroup = document.getElementById('gates');
+        const handicapped = this.startOffsets.some(offset => offset !== 0);
+        const gates = handicapped
+            ? this.getStartPositions().map(start => start + this.HORSE_NOSE_OFFSET * this.layout.horseScale)
+            : [];
+        if (gatesGroup) gatesGroup.innerHTML = '';
+        CanvasRenderer.setGates(this.useCanvas ? gates : []);
+        if (!gatesGroup || this.useCanvas) return;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const size = this.layout.laneSize;
+        gates.forEach((gateX, index) => {
+            const { x, y, angle } = this.layout.place(gateX, index);
+            const gate = document.createElementNS(svgNS, 'rect');
+            gate.setAttribute('class', 'race-gate');
+            gate.setAttribute('x', -2);
+            gate.setAttribute('y', -size * 0.45);
+            gate.setAttribute('width', 4);
+            gate.setAttribute('height', size * 0.9);
+            gate.setAttribute('transform', `translate(${x}, ${y}) rotate(${angle})`);
+
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = this.describeHandicap(this.users[index].name, this.startOffsets[index]);
+            gate.appendChild(title);
+            gatesGroup.appendChild(gate);
+        });
+    },
+
+    /**
+     * Describe a handicap ("Alice starts 20px ahead")
+     */
+    describeHandicap(name, offset) {
+        if (offset === 0) return `${name} starts on the line`;
+        return `${name} starts ${Math.abs(offset)}px ${offset > 0 ? 'ahead' : 'behind'}`;
+    },
+
+    /**
+     * How far a horse at this race position is through a jump (0 when it's on the ground)
+     */
+    getJumpProgress(position) {
+        for (const fenceX of this.fences) {
+            const progress = (position - (fenceX - this.JUMP_LENGTH / 2)) / this.JUMP_LENGTH;
+            if (progress > 0 && progress < 1) return progress;
+        }
+        return 0;
+    },
+
+    /**
+     * Get the SVG transform that draws a horse at a race position in its lane
+     */
+    getHorseTransform(position, lane) {
+        return Tracks.getHorseTransform(this.layout.place(position, lane), this.layout.horseScale);
+    },
+
+    /**
+     * Get where a horse's nose is on the track (viewBox coordinates)
+     */
+    getNosePoint(position, lane) {
+        const { x, y, angle, flip } = this.layout.place(position, lane);
+        const reach = this.HORSE_NOSE_OFFSET * this.layout.horseScale * (flip ? -1 : 1);
+        const radians = angle * Math.PI / 180;
+        return { x: x + Math.cos(radians) * reach, y: y + Math.sin(radians) * reach };
+    },
+
     /**
      * Create horse graphic using SVG shapes with animated parts
      */
@@ -310,7 +430,12 @@ const Race = {
         //   Outer <g transform="translate(x,y)"> handles position via SVG attribute only.
         //   Inner <g class="horse-..."> is the CSS animation target and has NO SVG transform
         //   attribute. This prevents the CSS animation from overriding the position translate.
+        //
+        // Animation states (classes on .race-horse): racing, fallen, winner, and over fences
+        // jumping (legs tucked; drawHorses() lifts .horse-figure and the shadow stays on the
+        // ground), refusing (plants its feet and rears) and stumbling (pecks after an unseat).
         const horseSVG = `
+            <ellipse class="horse-jump-shadow" cx="0" cy="24" rx="14" ry="3"/>
             <g class="horse-figure">
 
                 <!-- Tail: outer <g> positions; inner <g> is CSS-animated -->
@@ -384,28 +509,73 @@ const Race = {
 
     /**
      * Start the race
+     * Options:
+     *   mode - 'winner' (default) records a pick; 'standup' records the finishing order as a speaking order;
+     *          'heat' records a tournament heat (not a pick); 'elimination' knocks out the last-placed
+     *          horse at checkpoints and records the last one standing as the pick; 'relay-leg' runs a
+     *          relay leg (not recorded) and 'relay' its anchor leg, recorded as the winning team;
+     *          'split' orders everyone for a team split (recorded only if saved, see TeamSplit.save)
+     *   seed - seed for every random decision in the race (a fresh one is generated if omitted)
+     *   customSeed - the seed was typed or linked rather than generated: anyone could have searched for
+     *                one that picks a given winner, so the race is neither committed nor recorded
+     *   roster - users to race instead of the enabled users (e.g. a tournament heat)
+     *   winners - how many of the top finishers win a 'winner' race (1 to one fewer than the runners)
+     *   keepApart - pairs of user ids that mustn't both win a multi-winner race (see Pairing.getConstraints);
+     *               a split race only records them, the teams are dealt by TeamSplit.deal
+     *   startOffsets - px each lane starts ahead of (+) or behind (-) the line instead of the handicaps
+     *   tournament - tournament details stored with the history entry (see Tournament.getNextRace)
+     *   relay - relay details stored with the history entry (see Relay.getNextLeg)
+     *   rerunOf - history entry to re-run with its original roster, odds and settings (not recorded),
+     *             as the same kind of race (see getRerunMode)
+     *
+     * The race engine setting decides how the winner is found. 'scripted' draws the winner first
+     * and choreographs the race around it; 'emergent' gives every horse a random finish clock
+     * (see Selection.drawFinishClocks) and whoever crosses the line first wins.
      */
-    race(onComplete) {
-        if (this.isRacing || this.users.length < 2) return;
+    race(onComplete, options = {}) {
+        // Re-runs and tournament races bring their own roster, so only a new race needs two current users
+        if (this.isRacing || this.handoverPlaying || (!options.rerunOf && !options.roster && this.users.length < 2)) return;
+
+        this.raceOptions = { mode: 'winner', ...options };
+        const rerun = this.raceOptions.rerunOf;
+        if (rerun) {
+            this.raceOptions.mode = this.getRerunMode(rerun);
+            this.raceOptions.seed = rerun.seed;
+            // The heat or relay details bring back the original's lane labels and announcements
+            this.raceOptions.tournament = rerun.tournament;
+            this.raceOptions.relay = rerun.relay;
+        }
 
         // Clean up any previous race state
         this.cleanup();
 
-        // Refresh users to ensure we're working with current data
-        this.users = Storage.getEnabledUsers();
+        // Refresh users to ensure we're working with current data (or the re-run race's roster and handicaps)
+        this.render(
+            rerun ? this.getRerunRoster(rerun) : (this.raceOptions.roster || Storage.getEnabledUsers()),
+            rerun ? rerun.setup.handicaps || [] : (this.raceOptions.startOffsets || null)
+        );
 
         if (this.users.length < 2) return;
 
+        // The seed drives every random decision in the race (see Simulation.run)
+        this.seed = this.raceOptions.seed || SeededRandom.generateSeed();
+        // A re-run keeps the original's salt, so it shows the same commitment (custom seeds aren't committed)
+        this.salt = rerun ? rerun.salt || null : (this.raceOptions.customSeed ? null : ProvablyFair.generateSalt());
+
         // Clear any active winner effects from previous race
         if (typeof Effects !== 'undefined') {
             Effects.clearEffects();
         }
 
-        // Hide the previous winner display
+        // Hide the previous winner display and podium
         const resultDisplay = document.getElementById('result-display');
         if (resultDisplay) {
             resultDisplay.classList.add('hidden');
         }
+        const podium = document.getElementById('race-podium');
+        if (podium) {
+            podium.classList.add('hidden');
+        }
 
         // Show and clear commentary display (if enabled)
         const commentaryEnabled = Storage.getSetting('commentaryEnabled');
@@ -428,7 +598,7 @@ const Race = {
         const horsesGroup = document.querySelector('#horses');
         if (horsesGroup) {
             horsesGroup.querySelectorAll('.race-horse').forEach(horse => {
-                horse.classList.remove('winner', 'racing');
+                horse.classList.remove('winner', 'racing', 'jumping', 'refusing', 'stumbling', 'eliminated');
             });
         }
 
@@ -437,54 +607,86 @@ const Race = {
         if (raceButton) {
             raceButton.disabled = true;
         }
+        this.updateRaceControls();
 
         const settings = Storage.getSettings();
-        this.duration = settings.spinDuration * 1000; // Convert to milliseconds
-
-
-        // Select random winner (preventing same user as last race)
-        this.selectedIndex = this.getRandomUserIndex();
-        this.selectedUser = this.users[this.selectedIndex];
-
-        // Calculate lane positions
-        const trackHeight = 600;
-        const laneHeight = trackHeight / this.users.length;
-
-        // Create HorseState instances for all horses
-        this.horses = this.users.map((user, index) => {
-            const isWinner = index === this.selectedIndex;
-            return new HorseState(
-                index,
-                user.id,
-                user.name,
-                user.color,
-                isWinner,
-                this.duration,
-                this.raceDistance
-            );
-        });
-
-        // Determine if a horse will fall this race
-        this.fallenHorseUserId = null;
-        this.fallTime = -1;
-        this.hasFallen = false;
-        if (Storage.getSetting('horseCanFall') && this.users.length >= 2) {
-            // ~40% chance any given race has a fall
-            if (Math.random() < 0.4) {
-                const nonWinners = this.horses.filter(h => !h.isWinner);
-                const victim = nonWinners[Math.floor(Math.random() * nonWinners.length)];
-                this.fallenHorseUserId = victim.userId;
-                // Fall happens between 20% and 65% through the race
-                this.fallTime = this.duration * (0.2 + Math.random() * 0.45);
-            }
+        this.elimination = rerun ? !!rerun.setup.elimination : this.raceOptions.mode === 'elimination';
+        this.winnerCount = rerun
+            ? rerun.setup.winners || 1
+            : (this.raceOptions.mode === 'winner' ? Math.max(1, Math.min(this.raceOptions.winners || 1, this.users.length - 1)) : 1);
+        this.keepApart = (rerun ? rerun.setup.keepApart : this.raceOptions.keepApart) || [];
+        this.duration = rerun
+            ? rerun.setup.duration
+            : settings.spinDuration * 1000 * (this.elimination ? this.ELIMINATION_LENGTH : 1); // Convert to milliseconds
+        const horseCanFall = rerun ? rerun.setup.horseCanFall : settings.horseCanFall;
+        this.engine = (rerun ? rerun.setup.engine : settings.raceEngine) || 'scripted';
+        this.steeplechase = rerun ? !!rerun.setup.steeplechase : settings.steeplechase;
+        this.fences = this.steeplechase ? Simulation.getFencePositions() : [];
+        this.renderFences();
+        this.camera = settings.raceCamera;
+        this.cameraViewBox = null;
+        this.cameraTime = null;
+
+        // Work out everyone's odds using the configured selection mode, then simulate the
+        // whole race up front; from here on the race only plays back the timeline
+        this.selectionOdds = this.getSelectionOdds();
+        try {
+            this.timeline = Simulation.run({
+                roster: this.getRaceSetup().roster,
+                duration: this.duration,
+                seed: this.seed,
+                engine: this.engine,
+                horseCanFall: horseCanFall,
+                steeplechase: this.steeplechase,
+                elimination: this.elimination,
+                startOffsets: this.startOffsets,
+                winners: this.winnerCount,
+                keepApart: this.keepApart
+            });
+        } catch (error) {
+            if (error.name !== 'PairingError') throw error;
+
+            // The draw couldn't keep every pair apart: call the race off and say why, as the check before it does
+            const task = `pick ${this.winnerCount} winners`;
+            const constraints = this.keepApart.map(userIds => ({ userIds, recent: !Storage.hasPairExclusion(...userIds) }));
+            const problem = error.tooMany
+                ? Pairing.explainTooMany(task)
+                : Pairing.checkWinners(this.users, this.winnerCount, constraints) || Pairing.explainTooMany(task);
+            this.cleanup();
+            this.render(this.users, this.startOffsets);
+            alert(problem);
+            return;
         }
+        this.nextEventIndex = 0;
+
+        // The winner is only announced at the finish, even when it was drawn at the start
+        this.selectedIndex = -1;
+        this.selectedUser = null;
+        this.selectedUsers = [];
+
+        // Scripted races know their winners, which lets the commentary call them home
+        const scriptedWinners = this.engine === 'scripted' ? this.timeline.result.winnerIndices : [];
+        this.horses = this.users.map((user, index) => ({
+            index,
+            userId: user.id,
+            userName: user.name,
+            color: user.color,
+            position: this.startLineX + this.startOffsets[index],
+            hasFallen: false,
+            eliminated: false,
+            isWinner: scriptedWinners.includes(index),
+            jump: 0,            // 0 on the ground, otherwise how far through a jump (0-1)
+            lift: 0,            // px off the ground
+            incident: null,     // 'refuse' or 'unseat' while the horse is held up at a fence
+            incidentStart: 0,
+            incidentProgress: 0
+        }));
 
         // Reset all horse positions and add racing animation
         this.horses.forEach((horse, index) => {
             const horseContainer = document.getElementById(`horse-${horse.userId}`);
             if (horseContainer) {
-                const laneY = (index + 0.5) * laneHeight;
-                horseContainer.setAttribute('transform', `translate(${this.startLineX}, ${laneY})`);
+                horseContainer.setAttribute('transform', this.getHorseTransform(horse.position, index));
 
                 // Add galloping animation to inner horse element
                 const innerHorse = horseContainer.querySelector('.race-horse');
@@ -495,65 +697,643 @@ const Race = {
             }
         });
 
-        // Start animation
-        this.startTime = performance.now();
-        this.lastFrameTime = null; // Reset for new race
-        this.animate(this.startTime, onComplete);
+        // Commit to the seed and roster before the horses move; the seed is revealed at the finish
+        const raceNumber = ++this.raceNumber;
+        this.commitment = null;
+        const commitment = ProvablyFair.isSupported() && !this.raceOptions.customSeed
+            ? ProvablyFair.commit(ProvablyFair.buildReveal(this.seed, this.getRaceSetup().roster, this.engine, this.winnerCount, this.keepApart, this.salt))
+            : Promise.resolve(null);
+
+        commitment
+            .catch(() => null)
+            .then(hash => {
+                // Ignore if this race was cleaned up while hashing
+                if (!this.isRacing || raceNumber !== this.raceNumber) return;
+                this.commitment = hash;
+                this.showFairness();
+                this.startAnimation(onComplete);
+            });
+    },
+
+    /**
+     * Start the animation loop and the safety timeout
+     */
+    startAnimation(onComplete) {
+        this.onComplete = onComplete;
+        this.startTime = this.clock();
+        this.animate(onComplete);
+        this.scheduleSafetyTimeout();
+
+        // The tab may have been hidden while the draw was being committed
+        if (document.hidden) {
+            this.handleVisibilityChange();
+        }
+    },
 
-        // Safety timeout in case animation doesn't complete
+    /**
+     * Race clock: performance.now() with paused time taken out (stands still while paused)
+     */
+    clock() {
+        return (this.isPaused ? this.pausedAt : performance.now()) - this.pausedTotal;
+    },
+
+    /**
+     * Safety timeout in case animation doesn't complete (set for whatever race time is left)
+     */
+    scheduleSafetyTimeout() {
+        if (this.raceTimeoutId) {
+            clearTimeout(this.raceTimeoutId);
+        }
+
+        const remaining = this.duration + 1000 - (this.clock() - this.startTime);
         this.raceTimeoutId = setTimeout(() => {
-            if (this.isRacing) {
-                this.completeRace(onComplete);
+            this.raceTimeoutId = null;
+            if (!this.isRacing || this.isPaused || this.photoFinishPlaying) return;
+
+            // Never record a result nobody has seen: wait for the tab to come back instead
+            if (document.hidden) {
+                this.handleVisibilityChange();
+            } else {
+                this.completeRace(this.onComplete);
             }
-        }, this.duration + 1000);
+        }, Math.max(0, remaining));
+    },
+
+    /**
+     * Auto-pause while the tab is hidden and pick up where we left off when it's back
+     * A race the user paused themselves stays paused.
+     */
+    handleVisibilityChange() {
+        if (document.hidden) {
+            if (this.isRacing && !this.isPaused) {
+                this.pause();
+                this.autoPaused = this.isPaused;
+            }
+        } else if (this.autoPaused) {
+            this.resume();
+            this.setCommentary('And we\'re back!');
+        }
+    },
+
+    /**
+     * Pause the race: the clock stops and the horses freeze mid-stride
+     */
+    pause() {
+        if (!this.isRacing || this.isPaused || this.startTime === null) return;
+
+        this.isPaused = true;
+        this.pausedAt = performance.now();
+
+        if (this.raceTimeoutId) {
+            clearTimeout(this.raceTimeoutId);
+            this.raceTimeoutId = null;
+        }
+
+        document.getElementById('race-track')?.classList.add('paused');
+        if (window.speechSynthesis) window.speechSynthesis.pause();
+        this.updateRaceControls();
+    },
+
+    /**
+     * Resume a paused race from exactly where it stopped
+     */
+    resume() {
+        if (!this.isPaused) return;
+        this.autoPaused = false;
+
+        this.pausedTotal += performance.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.isPaused = false;
+
+        if (!this.photoFinishPlaying) {
+            this.scheduleSafetyTimeout();
+        }
+
+        document.getElementById('race-track')?.classList.remove('paused');
+        if (window.speechSynthesis) window.speechSynthesis.resume();
+        this.updateRaceControls();
+    },
+
+    /**
+     * Pause or resume the race
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    },
+
+    /**
+     * Abort the race (or a relay between legs): nothing is recorded and the horses go back to the start
+     */
+    abort() {
+        if (!this.isRacing && !this.handoverPlaying) return;
+
+        this.cleanup();
+        this.render(this.users);
+    },
+
+    /**
+     * Show the pause and abort buttons only while racing (and abort during a relay handover)
+     */
+    updateRaceControls() {
+        const pauseButton = document.getElementById('race-pause');
+        const abortButton = document.getElementById('race-abort');
+        if (!pauseButton || !abortButton) return;
+
+        pauseButton.classList.toggle('hidden', !this.isRacing);
+        abortButton.classList.toggle('hidden', !this.isRacing && !this.handoverPlaying);
+        pauseButton.textContent = this.isPaused ? '▶ Resume' : '⏸ Pause';
+        pauseButton.title = this.isPaused ? 'Resume the race (P)' : 'Pause the race (P)';
+    },
+
+    /**
+     * Show the draw commitment while racing, and the revealed seed once finished
+     */
+    showFairness() {
+        const fairnessDisplay = document.getElementById('race-fairness');
+        if (!fairnessDisplay) return;
+
+        if (this.raceOptions.customSeed) {
+            // The seed can come from the URL, so it only ever goes in as text
+            const seedCode = document.createElement('code');
+            seedCode.textContent = this.seed;
+            fairnessDisplay.textContent = '';
+            fairnessDisplay.append('⚠️ Custom seed ', seedCode, ': not provable, so this race is not recorded');
+            fairnessDisplay.classList.remove('hidden');
+            return;
+        }
+
+        if (!this.commitment) {
+            fairnessDisplay.classList.add('hidden');
+            return;
+        }
+
+        fairnessDisplay.innerHTML = '';
+        const commitmentLine = document.createElement('div');
+        commitmentLine.innerHTML = `🔒 Draw committed: <code>${this.commitment}</code>`;
+        fairnessDisplay.appendChild(commitmentLine);
+
+        if (!this.isRacing) {
+            const reveal = ProvablyFair.buildReveal(this.seed, this.getRaceSetup().roster, this.engine, this.winnerCount, this.keepApart, this.salt);
+            // The seed can come from the URL, so it only ever goes in as text
+            const revealLine = document.createElement('div');
+            const seedCode = document.createElement('code');
+            seedCode.textContent = this.seed;
+            const verifyLink = document.createElement('a');
+            verifyLink.href = ProvablyFair.getVerifyUrl(reveal, this.commitment);
+            verifyLink.target = '_blank';
+            verifyLink.rel = 'noopener';
+            verifyLink.textContent = 'Verify this draw';
+            revealLine.append('🔓 Seed revealed: ', seedCode, ' · ', verifyLink);
+            fairnessDisplay.appendChild(revealLine);
+        }
+
+        fairnessDisplay.classList.remove('hidden');
     },
 
     /**
      * Animation loop using requestAnimationFrame
      */
-    animate(currentTime, onComplete) {
+    animate(onComplete) {
         if (!this.isRacing) return;
 
-        const elapsedTime = currentTime - this.startTime;
+        // The race clock stands still while paused, so the same frame is simply shown again
+        const elapsedTime = this.clock() - this.startTime;
 
-        // Calculate delta time from last frame (defaults to 16ms on first frame)
-        const deltaTime = this.lastFrameTime ? currentTime - this.lastFrameTime : 16;
-        this.lastFrameTime = currentTime;
-
-        // Check if race should complete
+        // Check if race should complete (close finishes go to the camera first)
         if (elapsedTime >= this.duration) {
-            this.completeRace(onComplete);
+            if (this.timeline.result.photoFinish) {
+                this.playPhotoFinish(onComplete);
+            } else {
+                this.completeRace(onComplete);
+            }
             return;
         }
 
-        // Trigger horse fall if the time has come
-        if (!this.hasFallen && this.fallenHorseUserId !== null && elapsedTime >= this.fallTime) {
-            this.triggerHorseFall(this.fallenHorseUserId);
-            this.hasFallen = true;
+        // Show the timeline at the current time
+        if (this.camera === 'follow') {
+            this.updateCamera(elapsedTime);
         }
+        this.renderFrame(elapsedTime);
+
+        // Update racing commentary
+        this.updateCommentary(elapsedTime);
+
+        // Continue animation
+        this.animationFrameId = requestAnimationFrame(() => this.animate(onComplete));
+    },
 
-        // Update all horse positions
-        const trackHeight = 600;
-        const laneHeight = trackHeight / this.users.length;
+    /**
+     * Show the timeline at the given time: move the horses and play any events that have happened
+     */
+    renderFrame(elapsedTime) {
+        const { frames, events, stepMs } = this.timeline;
+        const frameIndex = Math.min(Math.floor(elapsedTime / stepMs), frames.length - 1);
+
+        while (this.nextEventIndex < events.length && events[this.nextEventIndex].time <= elapsedTime) {
+            const event = events[this.nextEventIndex++];
+            if (event.type === 'fall') {
+                this.triggerHorseFall(this.horses[event.index].userId);
+            } else if (event.type === 'refuse' || event.type === 'unseat') {
+                this.triggerFenceIncident(event);
+            } else if (event.type === 'clear') {
+                this.announceFenceCleared(event);
+            } else if (event.type === 'eliminate') {
+                this.triggerElimination(event);
+            }
+        }
 
         this.horses.forEach((horse, index) => {
-            if (horse.hasFallen) return; // fallen horses don't move
+            horse.position = frames[frameIndex][index];
+            horse.jump = horse.hasFallen || horse.incident === 'refuse' ? 0 : this.getJumpProgress(horse.position);
+            horse.lift = Math.sin(horse.jump * Math.PI) * this.JUMP_HEIGHT;
+
+            // Incidents play out over the time the simulation holds the horse up
+            if (horse.incident) {
+                const delay = horse.incident === 'refuse' ? Simulation.REFUSE_DELAY : Simulation.UNSEAT_DELAY;
+                horse.incidentProgress = (elapsedTime - horse.incidentStart) / delay;
+                if (horse.incidentProgress >= 1 || horse.incidentProgress < 0) {
+                    horse.incident = null;
+                    horse.incidentProgress = 0;
+                }
+            }
+        });
+        this.drawHorses();
+    },
 
-            horse.update(elapsedTime, deltaTime);
+    /**
+     * Draw every horse at its current position
+     */
+    drawHorses() {
+        this.updateMinimap();
+
+        if (this.useCanvas) {
+            CanvasRenderer.draw(this.horses, {
+                time: this.clock(),
+                racing: this.isRacing,
+                winnerIds: this.highlightedUserIds
+            });
+            return;
+        }
 
+        this.horses.forEach((horse, index) => {
             const horseElement = document.getElementById(`horse-${horse.userId}`);
             if (horseElement) {
-                const laneY = (index + 0.5) * laneHeight;
-                // Use translate3d for hardware acceleration
-                horseElement.setAttribute('transform', `translate(${horse.position}, ${laneY})`);
+                horseElement.setAttribute('transform', this.getHorseTransform(horse.position, index));
+
+                // Steeplechase states: lifted over a fence, or held up by a refusal or an unseat
+                const innerHorse = horseElement.querySelector('.race-horse');
+                const figure = horseElement.querySelector('.horse-figure');
+                if (this.fences.length && innerHorse && figure) {
+                    figure.setAttribute('transform', horse.lift ? `translate(0, ${-horse.lift})` : '');
+                    innerHorse.classList.toggle('jumping', horse.jump > 0);
+                    innerHorse.classList.toggle('refusing', horse.incident === 'refuse');
+                    innerHorse.classList.toggle('stumbling', horse.incident === 'unseat');
+                }
             }
         });
+    },
 
-        // Update racing commentary
-        this.updateCommentary(elapsedTime);
+    /**
+     * Replay the run-in to a close finish in slow motion, zoomed onto the line,
+     * then hold a freeze frame with the margin before announcing the result
+     */
+    playPhotoFinish(onComplete) {
+        const photo = this.timeline.result.photoFinish;
 
-        // Continue animation
-        this.animationFrameId = requestAnimationFrame((time) => this.animate(time, onComplete));
+        // The slow-motion replay outlasts the safety timeout; the camera runs on the race clock instead
+        if (this.raceTimeoutId) {
+            clearTimeout(this.raceTimeoutId);
+            this.raceTimeoutId = null;
+        }
+        this.photoFinishPlaying = true;
+
+        this.setCommentary('📸 Photo finish! Let\'s look at the camera...');
+
+        const replayFrom = Math.max(0, photo.time - this.PHOTO_FINISH_LEAD_IN);
+        const replayLength = photo.time - replayFrom;
+        const replayDuration = replayLength / this.PHOTO_FINISH_SPEED;
+        const zoom = this.getPhotoFinishViewBox(photo);
+        const from = this.cameraViewBox || this.trackViewBox;
+        const replayStart = this.clock();
+        let stripShown = false;
+
+        const step = () => {
+            if (!this.isRacing) return;
+
+            const sinceStart = this.clock() - replayStart;
+
+            if (sinceStart < replayDuration) {
+                const progress = sinceStart / replayDuration;
+                this.renderFrame(replayFrom + replayLength * progress);
+
+                // Zoom in over the first third of the replay
+                const zoomProgress = Math.min(1, progress * 3);
+                this.setTrackViewBox(this.lerpViewBox(from, zoom, zoomProgress));
+            } else if (!stripShown) {
+                // Freeze on the moment the leader hits the line
+                stripShown = true;
+                this.renderFrame(photo.time);
+                this.setTrackViewBox(zoom);
+                this.showPhotoFinishStrip(photo);
+            } else if (sinceStart >= replayDuration + this.PHOTO_FINISH_HOLD) {
+                this.animationFrameId = null;
+                this.photoFinishPlaying = false;
+                this.clearPhotoFinish();
+                this.completeRace(onComplete);
+                return;
+            }
+
+            this.animationFrameId = requestAnimationFrame(step);
+        };
+
+        this.animationFrameId = requestAnimationFrame(step);
+    },
+
+    /**
+     * Work out the camera window for a photo finish: the finish line and the two leaders' lanes
+     */
+    getPhotoFinishViewBox(photo) {
+        const lanes = [photo.leaderIndex, photo.secondIndex].filter(index => index >= 0);
+        const laneYs = lanes.map(index => this.layout.place(this.finishLineX, index).y);
+        const centerY = laneYs.reduce((sum, y) => sum + y, 0) / laneYs.length;
+        const spread = Math.max(...laneYs) - Math.min(...laneYs) + this.layout.laneSize;
+
+        // Keep the track's aspect ratio, tall enough to show both lanes and wide enough to see the run-in
+        const aspect = this.trackViewBox.height / this.trackViewBox.width;
+        let height = Math.max(150, spread + 60);
+        if (height / aspect < this.PHOTO_FINISH_MIN_WIDTH) {
+            height = this.PHOTO_FINISH_MIN_WIDTH * aspect;
+        }
+        height = Math.min(this.trackViewBox.height, height);
+        const width = height / aspect;
+        const { finishLine, finishDirection } = this.layout;
+        const lineAt = finishLine.x - width * (finishDirection > 0 ? 0.6 : 0.4);
+        const x = Math.max(0, Math.min(this.trackViewBox.width - width, lineAt));
+        const y = Math.max(0, Math.min(this.trackViewBox.height - height, centerY - height / 2));
+
+        return { x, y, width, height };
+    },
+
+    /**
+     * Move the follow camera towards the leading pack (or the wide shot near the finish)
+     * Eases by elapsed race time, so it stands still while paused and keeps pace at any frame rate.
+     */
+    updateCamera(elapsedTime) {
+        const firstFinish = this.timeline.events.find(event => event.type === 'finish');
+        const finishTime = firstFinish ? firstFinish.time : this.duration;
+        const target = elapsedTime >= finishTime - this.CAMERA_WIDE_LEAD
+            ? this.trackViewBox
+            : this.getCameraViewBox(elapsedTime);
+
+        if (!this.cameraViewBox) {
+            this.cameraViewBox = { ...this.trackViewBox };
+        }
+        const sinceLastMove = this.cameraTime === null ? 0 : Math.max(0, elapsedTime - this.cameraTime);
+        this.cameraTime = elapsedTime;
+        this.cameraViewBox = this.lerpViewBox(this.cameraViewBox, target, 1 - Math.exp(-sinceLastMove / this.CAMERA_EASE));
+        this.setTrackViewBox(this.cameraViewBox, false);
+
+        // On a tall track the zoomed window fills the whole (scrolling) SVG, so keep its middle in view
+        const container = document.querySelector('.race-container');
+        if (container && container.classList.contains('tall-track')) {
+            container.scrollTop = (container.scrollHeight - container.clientHeight) / 2;
+        }
+    },
+
+    /**
+     * Work out the follow camera's window: the leader and the closest chasers,
+     * keeping the track's aspect ratio. Fallen and knocked-out horses drop out of the shot.
+     */
+    getCameraViewBox(elapsedTime) {
+        const { frames, stepMs } = this.timeline;
+        const positions = frames[Math.min(Math.floor(elapsedTime / stepMs), frames.length - 1)];
+        const running = this.horses
+            .filter(horse => !horse.hasFallen && !horse.eliminated)
+            .sort((a, b) => positions[b.index] - positions[a.index]);
+        if (running.length === 0) return this.trackViewBox;
+
+        const leaderPosition = positions[running[0].index];
+        const pack = running
+            .slice(0, this.CAMERA_PACK_SIZE)
+            .filter(horse => positions[horse.index] >= leaderPosition - this.CAMERA_PACK_GAP);
+
+        // Frame where each pack horse is drawn (straight or round a bend), with room for the horse itself
+        const full = this.trackViewBox;
+        const spots = pack.map(horse => this.layout.place(positions[horse.index], horse.index));
+        const reach = this.HORSE_LENGTH * this.layout.horseScale;
+        const left = Math.min(...spots.map(spot => spot.x)) - reach - this.CAMERA_MARGIN;
+        const right = Math.max(...spots.map(spot => spot.x)) + reach + this.CAMERA_MARGIN;
+        const top = Math.min(...spots.map(spot => spot.y)) - this.layout.laneSize;
+        const bottom = Math.max(...spots.map(spot => spot.y)) + this.layout.laneSize;
+
+        // A tall track only shows part of the SVG at once, so the pack has to fit in that part
+        const container = document.querySelector('.race-container');
+        const visibleShare = container && container.classList.contains('tall-track') && container.scrollHeight
+            ? Math.min(1, container.clientHeight / container.scrollHeight)
+            : 1;
+
+        const aspect = full.height / full.width;
+        const height = Math.max(Math.max(this.CAMERA_MIN_WIDTH, right - left) * aspect, (bottom - top) / visibleShare);
+        if (height >= full.height) return full;
+        const width = height / aspect;
+
+        return {
+            x: Math.max(0, Math.min(full.width - width, (left + right - width) / 2)),
+            y: Math.max(0, Math.min(full.height - height, (top + bottom - height) / 2)),
+            width,
+            height
+        };
+    },
+
+    /**
+     * Blend two viewBoxes (progress 0 gives from, 1 gives to)
+     */
+    lerpViewBox(from, to, progress) {
+        return {
+            x: from.x + (to.x - from.x) * progress,
+            y: from.y + (to.y - from.y) * progress,
+            width: from.width + (to.width - from.width) * progress,
+            height: from.height + (to.height - from.height) * progress
+        };
+    },
+
+    /**
+     * Resize the track to the given height (the finish line runs the full height)
+     */
+    setTrackHeight(height) {
+        this.trackViewBox = { x: 0, y: 0, width: this.trackViewBox.width, height };
+        this.setTrackViewBox(this.trackViewBox);
+
+        // Tracks taller than the default scroll inside the race view
+        const container = document.querySelector('.race-container');
+        if (container) container.classList.toggle('tall-track', height > this.MIN_TRACK_HEIGHT);
+    },
+
+    /**
+     * Build the minimap: the whole field in a thin strip, shown when the track scrolls
+     */
+    renderMinimap() {
+        const minimap = document.getElementById('race-minimap');
+        if (!minimap) return;
+
+        const svg = minimap.querySelector('svg');
+        const tall = this.trackViewBox.height > this.MIN_TRACK_HEIGHT;
+        minimap.classList.toggle('hidden', !tall);
+        svg.innerHTML = '';
+        if (!tall) return;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const laneHeight = this.trackViewBox.height / this.users.length;
+        svg.setAttribute('viewBox', `0 0 ${this.trackViewBox.width} ${this.trackViewBox.height}`);
+
+        const finish = document.createElementNS(svgNS, 'rect');
+        finish.setAttribute('class', 'minimap-finish');
+        finish.setAttribute('x', this.finishLineX - 4);
+        finish.setAttribute('width', 8);
+        finish.setAttribute('height', this.trackViewBox.height);
+        svg.appendChild(finish);
+
+        this.users.forEach((user, index) => {
+            const marker = document.createElementNS(svgNS, 'rect');
+            marker.setAttribute('id', `minimap-${user.id}`);
+            marker.setAttribute('x', this.startLineX + this.startOffsets[index] - 8);
+            marker.setAttribute('y', index * laneHeight + laneHeight * 0.1);
+            marker.setAttribute('width', 16);
+            marker.setAttribute('height', laneHeight * 0.8);
+            marker.setAttribute('fill', user.color);
+            svg.appendChild(marker);
+        });
+
+        // Outline of the part of the track that's currently scrolled into view
+        const viewport = document.createElementNS(svgNS, 'rect');
+        viewport.setAttribute('id', 'minimap-viewport');
+        viewport.setAttribute('class', 'minimap-viewport');
+        viewport.setAttribute('width', this.trackViewBox.width);
+        svg.appendChild(viewport);
+        this.updateMinimapViewport();
+    },
+
+    /**
+     * Move the minimap markers to the horses' current positions
+     */
+    updateMinimap() {
+        if (this.trackViewBox.height <= this.MIN_TRACK_HEIGHT) return;
+
+        this.horses.forEach(horse => {
+            const marker = document.getElementById(`minimap-${horse.userId}`);
+            if (marker) marker.setAttribute('x', horse.position - 8);
+        });
+    },
+
+    /**
+     * Outline the scrolled-into-view part of a tall track on the minimap
+     */
+    updateMinimapViewport() {
+        const viewport = document.getElementById('minimap-viewport');
+        const container = document.querySelector('.race-container');
+        if (!viewport || !container || !container.scrollHeight) return;
+
+        const scale = this.trackViewBox.height / container.scrollHeight;
+        viewport.setAttribute('y', container.scrollTop * scale);
+        viewport.setAttribute('height', Math.min(container.clientHeight, container.scrollHeight) * scale);
+    },
+
+    /**
+     * Scroll a tall track so the given track y coordinate is in the middle of the view
+     */
+    scrollTrackTo(trackY) {
+        const container = document.querySelector('.race-container');
+        if (!container) return;
+
+        const scale = container.scrollHeight / this.trackViewBox.height;
+        container.scrollTop = trackY * scale - container.clientHeight / 2;
+        this.updateMinimapViewport();
+    },
+
+    /**
+     * Set the race track's viewBox (redraw false skips the canvas redraw when a frame is about to be drawn)
+     */
+    setTrackViewBox({ x, y, width, height }, redraw = true) {
+        const raceTrack = document.getElementById('race-track');
+        if (raceTrack) {
+            raceTrack.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+        }
+        CanvasRenderer.setViewBox({ x, y, width, height }, redraw);
+    },
+
+    /**
+     * Draw the freeze-frame strip: each leader's nose marked at the moment the first one hits the line
+     */
+    showPhotoFinishStrip(photo) {
+        const overlay = document.getElementById('photo-finish');
+        if (!overlay) return;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const laneSize = this.layout.laneSize;
+        const winnerIndex = this.timeline.result.winnerIndex;
+        const runnerUpIndex = photo.leaderIndex === winnerIndex ? photo.secondIndex : photo.leaderIndex;
+        const nose = index => this.getNosePoint(this.horses[index].position, index);
+        const { y1, y2 } = this.layout.finishLine;
+
+        overlay.innerHTML = '';
+
+        // The strip covers the gap between the two noses, the full length of the finish line
+        const left = Math.min(nose(winnerIndex).x, nose(runnerUpIndex).x);
+        const strip = document.createElementNS(svgNS, 'rect');
+        strip.setAttribute('class', 'photo-finish-strip');
+        strip.setAttribute('x', left - 2);
+        strip.setAttribute('y', y1);
+        strip.setAttribute('width', Math.abs(nose(winnerIndex).x - nose(runnerUpIndex).x) + 4);
+        strip.setAttribute('height', y2 - y1);
+        overlay.appendChild(strip);
+
+        [winnerIndex, runnerUpIndex].forEach(index => {
+            const { x, y } = nose(index);
+            const marker = document.createElementNS(svgNS, 'line');
+            marker.setAttribute('class', index === winnerIndex ? 'photo-finish-nose winner' : 'photo-finish-nose');
+            marker.setAttribute('x1', x);
+            marker.setAttribute('x2', x);
+            marker.setAttribute('y1', y - laneSize / 2);
+            marker.setAttribute('y2', y + laneSize / 2);
+            overlay.appendChild(marker);
+        });
+
+        const zoom = this.getPhotoFinishViewBox(photo);
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('class', 'photo-finish-label');
+        label.setAttribute('x', zoom.x + zoom.width / 2);
+        label.setAttribute('y', zoom.y + zoom.height * 0.12);
+        label.setAttribute('text-anchor', 'middle');
+        label.textContent = `${this.horses[winnerIndex].userName} by ${this.describeMargin(photo.margin)}`;
+        overlay.appendChild(label);
+
+        this.setCommentary(`📸 ${label.textContent}!`);
+    },
+
+    /**
+     * Describe a winning margin the way a racecaller would
+     */
+    describeMargin(margin) {
+        if (margin < 3) return 'a nose';
+        if (margin < 8) return 'a short head';
+        if (margin < 14) return 'a head';
+        if (margin < 22) return 'a neck';
+        if (margin < this.HORSE_LENGTH) return 'half a length';
+        const lengths = Math.round(margin / this.HORSE_LENGTH * 2) / 2;
+        return `${lengths} length${lengths === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Remove the freeze frame and zoom back out to the whole track
+     */
+    clearPhotoFinish() {
+        const overlay = document.getElementById('photo-finish');
+        if (overlay) overlay.innerHTML = '';
+        this.setTrackViewBox(this.trackViewBox);
     },
 
     /**
@@ -573,8 +1353,8 @@ const Race = {
 
         this.lastCommentaryUpdate = elapsedTime;
 
-        // Sort horses by position to find leaders
-        const sortedHorses = [...this.horses].sort((a, b) => b.position - a.position);
+        // Sort horses by position to find leaders (knocked-out horses are out of it)
+        const sortedHorses = this.horses.filter(h => !h.eliminated).sort((a, b) => b.position - a.position);
         const leader = sortedHorses[0];
         const secondPlace = sortedHorses.length > 1 ? sortedHorses[1] : null;
 
@@ -677,6 +1457,18 @@ const Race = {
         // CRITICAL: Stop racing flag FIRST to prevent animate() from continuing
         this.isRacing = false;
 
+        // Show the final frame so final positions don't depend on frame timing
+        this.renderFrame(this.duration);
+        this.selectedIndex = this.timeline.result.winnerIndex;
+
+        // Finish on the wide shot, wherever the follow camera had got to
+        if (this.cameraViewBox) {
+            this.cameraViewBox = null;
+            this.setTrackViewBox(this.trackViewBox);
+        }
+        this.selectedUser = this.users[this.selectedIndex];
+        this.selectedUsers = this.timeline.result.winnerIndices.map(index => this.users[index]);
+
         // Clean up animation
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
@@ -692,6 +1484,7 @@ const Race = {
         if (raceButton) {
             raceButton.disabled = false;
         }
+        this.updateRaceControls();
 
         // Remove racing animation from all horses
         const horsesGroup = document.querySelector('#horses');
@@ -701,6 +1494,14 @@ const Race = {
             });
         }
 
+        const isStandup = this.raceOptions.mode === 'standup';
+        const rerun = this.raceOptions.rerunOf;
+        const recorded = !rerun && !this.raceOptions.customSeed;
+        const tournament = this.raceOptions.tournament;
+        const relay = this.raceOptions.relay;
+        const isRelayLeg = this.raceOptions.mode === 'relay-leg';
+        const isSplit = this.raceOptions.mode === 'split';
+
         // Update commentary with winner announcement (if enabled)
         const commentaryEnabled = Storage.getSetting('commentaryEnabled');
         if (commentaryEnabled) {
@@ -709,42 +1510,202 @@ const Race = {
                 // Smooth fade to winner announcement
                 commentaryText.style.opacity = '0';
 
+                let announcement = `${this.selectedUser.name} wins the race!`;
+                if (this.selectedUsers.length > 1) {
+                    announcement = `${this.listNames(this.selectedUsers.map(user => user.name))} are the winners!`;
+                } else if (isStandup) {
+                    announcement = `${this.selectedUser.name} goes first!`;
+                } else if (isSplit) {
+                    announcement = 'The teams are picked!';
+                } else if (this.elimination) {
+                    announcement = `${this.selectedUser.name} is the last horse standing!`;
+                } else if (tournament) {
+                    announcement = tournament.stage === 'final'
+                        ? `${this.selectedUser.name} is the tournament champion!`
+                        : `${this.selectedUser.name} wins heat ${tournament.heat}!`;
+                } else if (relay) {
+                    announcement = isRelayLeg
+                        ? `${this.selectedUser.relayTeam} lead after leg ${relay.leg} of ${relay.legs}!`
+                        : `${this.selectedUser.relayTeam} win the relay! ${this.selectedUser.name} brings it home!`;
+                }
+                if (rerun) {
+                    announcement = `Re-run of race #${rerun.spinNumber}: ${announcement}`;
+                } else if (this.raceOptions.customSeed) {
+                    announcement = `Custom seed race: ${announcement}`;
+                }
+
                 setTimeout(() => {
-                    commentaryText.textContent = `🏆 ${this.selectedUser.name} wins the race! 🏆`;
+                    commentaryText.textContent = isStandup ? `🎤 ${announcement} 🎤` : `🏆 ${announcement} 🏆`;
                     commentaryText.style.fontSize = '26px';
                     commentaryText.style.fontWeight = '900';
                     commentaryText.style.opacity = '1';
-                    this.speakCommentary(`${this.selectedUser.name} wins the race!`);
+                    this.speakCommentary(announcement);
                 }, 200);
             }
         }
 
-        // Play finish sound
-        setTimeout(() => {
-            Sounds.playFanfare();
-        }, 300);
-
-        // Highlight the winner
-        this.highlightWinner(this.selectedUser.id);
+        // Play finish sound (a relay saves it for the anchor leg)
+        if (!isRelayLeg) {
+            setTimeout(() => {
+                Sounds.playFanfare();
+            }, 300);
+        }
 
-        // Record in history
-        Storage.addSpinEntry(this.selectedUser.id, this.selectedUser.name);
+        // Highlight the winner and reveal the seed behind the draw
+        this.highlightWinners(this.selectedUsers.map(user => user.id));
+        this.showFairness();
+
+        // Record in history, with the reason this user was picked and where everyone finished
+        // Re-runs of an earlier race and custom-seed races are never recorded
+        const finishingOrder = this.timeline.result.finishingOrder;
+        const raceDetails = {
+            finishingOrder: finishingOrder,
+            seed: this.seed,
+            salt: this.salt,
+            commitment: this.commitment,
+            setup: this.getRaceSetup()
+        };
+        if (tournament) {
+            // Every heat and the final carry the tournament's id, so history can link them
+            raceDetails.tournament = tournament;
+        }
+        if (recorded && relay && !isRelayLeg) {
+            // The winning team and its anchor runner; earlier legs only set the staggered starts
+            Storage.addGroupEntry('relay', {
+                ...raceDetails,
+                userId: this.selectedUser.id,
+                userName: this.selectedUser.name,
+                relay: {
+                    ...relay,
+                    team: this.selectedUser.relayTeam,
+                    standings: finishingOrder.map(f => this.users.find(user => user.id === f.userId).relayTeam)
+                }
+            });
+        } else if (recorded && (isStandup || this.raceOptions.mode === 'heat')) {
+            // The whole finishing order is the speaking order (or decides who goes through),
+            // stored as one grouped entry
+            Storage.addGroupEntry(isStandup ? 'standup' : 'heat', {
+                ...raceDetails,
+                userId: this.selectedUser.id,
+                userName: this.selectedUser.name
+            });
+        } else if (recorded && !isRelayLeg && !isSplit) {
+            const winners = this.selectedUsers.length > 1
+                ? { winners: this.selectedUsers.map(user => ({ userId: user.id, userName: user.name })) }
+                : {};
+            Storage.addSpinEntry(this.selectedUser.id, this.selectedUser.name, {
+                ...raceDetails,
+                ...winners,
+                selection: Selection.explainPick(
+                    this.selectionOdds,
+                    this.selectedIndex,
+                    tournament ? Selection.MODES.RANDOM : Storage.getSetting('selectionMode')
+                )
+            });
+        }
 
         // Update browser tab title with winner
         const appTitle = Storage.getSetting('appTitle') || 'Team Horse Racing';
-        document.title = `${this.selectedUser.name} | ${appTitle}`;
+        document.title = isStandup
+            ? `Standup: ${this.selectedUser.name} first | ${appTitle}`
+            : isSplit ? `Teams picked | ${appTitle}` : `${relay ? this.selectedUser.relayTeam : this.listNames(this.selectedUsers.map(user => user.name))} | ${appTitle}`;
 
         // Call completion callback with result
         if (onComplete) {
-            onComplete(this.selectedUser);
+            onComplete(this.selectedUser, finishingOrder, this.selectedUsers);
         }
     },
 
     /**
-     * Trigger a horse fall: stop the horse and play the fall-over animation
+     * Race mode a history entry re-runs in, so a replay plays out like the original race
+     */
+    getRerunMode(entry) {
+        return ['standup', 'heat', 'relay', 'split'].includes(entry.type) ? entry.type : 'winner';
+    },
+
+    /**
+     * Roster a history entry re-runs with: its recorded roster, with a relay's runners named by team again
+     */
+    getRerunRoster(entry) {
+        if (!entry.relay) return entry.setup.roster;
+
+        // The anchor leg's lanes are the relay's teams, in order
+        return entry.setup.roster.map((user, index) => {
+            const team = entry.relay.teams[index].name;
+            return { ...user, label: `${team}: ${user.name}`, relayTeam: team };
+        });
+    },
+
+    /**
+     * Relay handover between legs: after a moment on the leg result, line up the next runners and
+     * pass each team's baton from where its last runner finished to the nose of its next runner,
+     * then call onDone
+     */
+    playHandover(users, startOffsets, fromPositions, onDone) {
+        this.handoverPlaying = true;
+        const raceButton = document.getElementById('race-button');
+        if (raceButton) raceButton.disabled = true;
+        this.updateRaceControls();
+
+        this.handoverTimeoutId = setTimeout(() => {
+            this.handoverTimeoutId = null;
+            this.passBatons(users, startOffsets, fromPositions, onDone);
+        }, this.HANDOVER_DELAY);
+    },
+
+    /**
+     * Animate the batons changing hands (see playHandover)
+     */
+    passBatons(users, startOffsets, fromPositions, onDone) {
+        const from = fromPositions.map((position, index) => this.getNosePoint(position, index));
+        this.render(users, startOffsets);
+        const to = this.getStartPositions().map((position, index) => this.getNosePoint(position, index));
+
+        this.setCommentary(`Handover! ${users.map(user => user.name).join(', ')} take the baton!`);
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const batonsGroup = document.getElementById('batons');
+        const size = this.layout.laneSize;
+        const batons = users.map(() => {
+            const baton = document.createElementNS(svgNS, 'rect');
+            baton.setAttribute('class', 'race-baton');
+            baton.setAttribute('x', -size * 0.25);
+            baton.setAttribute('y', -2);
+            baton.setAttribute('width', size * 0.5);
+            baton.setAttribute('height', 4);
+            baton.setAttribute('rx', 2);
+            if (batonsGroup) batonsGroup.appendChild(baton);
+            return baton;
+        });
+
+        const startedAt = performance.now();
+        const step = now => {
+            const progress = Math.min(1, (now - startedAt) / this.HANDOVER_DURATION);
+            const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(2 - 2 * progress, 2) / 2;
+            batons.forEach((baton, index) => {
+                // The baton is thrown in an arc, spinning as it goes
+                const x = from[index].x + (to[index].x - from[index].x) * eased;
+                const y = from[index].y + (to[index].y - from[index].y) * eased - Math.sin(progress * Math.PI) * size;
+                baton.setAttribute('transform', `translate(${x}, ${y}) rotate(${progress * 720})`);
+            });
+
+            if (progress < 1) {
+                this.handoverFrameId = requestAnimationFrame(step);
+                return;
+            }
+            this.handoverFrameId = null;
+            this.handoverPlaying = false;
+            if (batonsGroup) batonsGroup.innerHTML = '';
+            onDone();
+        };
+        this.handoverFrameId = requestAnimationFrame(step);
+    },
+
+    /**
+     * Show a horse fall: play the fall-over animation
      */
     triggerHorseFall(userId) {
-        // Mark the HorseState as fallen so it stops moving
+        // Mark the horse as fallen (the timeline already keeps it still)
         const horseState = this.horses.find(h => h.userId === userId);
         if (horseState) horseState.hasFallen = true;
 
@@ -759,47 +1720,153 @@ const Race = {
         }
 
         // Optional commentary mention
-        if (Storage.getSetting('commentaryEnabled') && horseState) {
-            const commentaryText = document.getElementById('commentary-text');
-            if (commentaryText) {
-                commentaryText.style.opacity = '0';
-                setTimeout(() => {
-                    commentaryText.textContent = `Oh no! ${horseState.userName} is down!`;
-                    commentaryText.style.opacity = '1';
-                }, 200);
-            }
-            this.speakCommentary(`Oh no! ${horseState.userName} is down!`);
+        if (horseState) {
+            this.setCommentary(`Oh no! ${horseState.userName} is down!`);
         }
     },
 
     /**
-     * Get random user index, preventing same as last selection
-     * COPIED EXACTLY from wheel.js:363-381
+     * Knock a horse out of an elimination race: it pulls up and fades back
      */
-    getRandomUserIndex() {
-        let index = Math.floor(Math.random() * this.users.length);
+    triggerElimination(event) {
+        const horseState = this.horses[event.index];
+        horseState.eliminated = true;
+
+        const horseContainer = document.getElementById(`horse-${horseState.userId}`);
+        const innerHorse = horseContainer && horseContainer.querySelector('.race-horse');
+        if (innerHorse) {
+            innerHorse.classList.remove('racing');
+            innerHorse.classList.add('eliminated');
+        }
 
-        // Check if we need to prevent same user as last spin
-        const lastSelectedId = Storage.getLastSelected();
-        if (lastSelectedId) {
-            const lastIndex = this.users.findIndex(u => u.id === lastSelectedId);
-            if (lastIndex !== -1) {
-                // Re-roll if same user
-                let attempts = 0;
-                while (index === lastIndex && attempts < 10) {
-                    index = Math.floor(Math.random() * this.users.length);
-                    attempts++;
-                }
-            }
+        if (event.remaining === 1) {
+            const survivor = this.horses.find(h => !h.eliminated);
+            this.setCommentary(`${horseState.userName} is knocked out! ${survivor.userName} is the last horse standing!`);
+        } else {
+            this.setCommentary(`${horseState.userName} is knocked out! ${event.remaining} left.`);
+        }
+    },
+
+    /**
+     * A horse refuses a fence or unseats its rider: it's held up for a moment, then carries on
+     */
+    triggerFenceIncident(event) {
+        const horseState = this.horses[event.index];
+        horseState.incident = event.type;
+        horseState.incidentStart = event.time;
+        horseState.incidentProgress = 0;
+
+        const fence = this.describeFence(event.fence);
+        this.setCommentary(event.type === 'refuse'
+            ? `${horseState.userName} refuses ${fence}! Losing ground while they have another go...`
+            : `${horseState.userName} unseats at ${fence}! Back in the saddle, but losing ground!`);
+    },
+
+    /**
+     * Call the leader over each fence
+     */
+    announceFenceCleared(event) {
+        const leader = this.horses[event.index];
+        const isLast = event.fence === this.fences.length - 1;
+        this.setCommentary(isLast
+            ? `Over the last, and ${leader.userName} leads them home!`
+            : `${leader.userName} leads them over ${this.describeFence(event.fence)}!`);
+    },
+
+    /**
+     * Name a fence the way a racecaller would ("the second", "the last")
+     */
+    describeFence(fence) {
+        if (fence === this.fences.length - 1) return 'the last';
+        return `the ${this.FENCE_NAMES[fence] || `fence ${fence + 1}`}`;
+    },
+
+    /**
+     * Show (and speak) a one-off commentary line, if commentary is enabled
+     */
+    setCommentary(text) {
+        if (!Storage.getSetting('commentaryEnabled')) return;
+
+        const commentaryText = document.getElementById('commentary-text');
+        if (commentaryText) {
+            commentaryText.style.opacity = '0';
+            setTimeout(() => {
+                commentaryText.textContent = text;
+                commentaryText.style.opacity = '1';
+            }, 200);
+        }
+        this.speakCommentary(text);
+    },
+
+    /**
+     * Get each user's odds for this race using the configured selection mode
+     */
+    getSelectionOdds() {
+        const rerun = this.raceOptions.rerunOf;
+        if (rerun) {
+            // Re-runs use the odds recorded with the original race
+            return rerun.setup.roster.map(user => ({
+                userId: user.id,
+                weight: user.probability,
+                probability: user.probability,
+                reason: `Re-run of race #${rerun.spinNumber}`
+            }));
+        }
+        if (this.raceOptions.mode === 'standup' && Storage.getSetting('roundRobin')) {
+            // Rounds for standups: nobody goes first twice until everyone has gone first once
+            return Selection.computeOdds(this.users, {
+                mode: Selection.MODES.RANDOM,
+                history: Storage.getHistory().filter(entry => entry.type === 'standup'),
+                roundRobin: true
+            });
         }
+        if (['standup', 'heat', 'relay-leg', 'relay', 'split'].includes(this.raceOptions.mode) || this.raceOptions.tournament) {
+            // A standup order gives everyone a slot, a heat only decides who goes through, a relay
+            // is won by a team and a split only deals out teams, so none of them is a pick: only weights matter.
+            // A tournament final is the same: the finalists earned their place, so nobody sits it out on history
+            return Selection.computeOdds(this.users, { mode: Selection.MODES.RANDOM });
+        }
+        return Selection.getCurrentOdds(this.users);
+    },
 
-        return index;
+    /**
+     * Get everything needed to re-run the current race from its seed
+     */
+    getRaceSetup() {
+        return {
+            duration: this.duration,
+            engine: this.engine,
+            horseCanFall: this.raceOptions.rerunOf ? this.raceOptions.rerunOf.setup.horseCanFall : Storage.getSetting('horseCanFall'),
+            steeplechase: this.steeplechase,
+            elimination: this.elimination,
+            winners: this.winnerCount,
+            keepApart: this.keepApart.length > 0 ? [...this.keepApart] : null,
+            handicaps: this.startOffsets.some(offset => offset !== 0) ? [...this.startOffsets] : null,
+            roster: this.users.map((user, index) => ({
+                id: user.id,
+                name: user.name,
+                color: user.color,
+                probability: this.selectionOdds[index].probability
+            }))
+        };
     },
 
     /**
-     * Highlight the winning horse
+     * Highlight the winning horses
      */
-    highlightWinner(userId) {
+    highlightWinners(userIds) {
+        // On a tall track the winner may be scrolled out of view (the first winner is brought into view)
+        const lane = this.users.findIndex(user => user.id === userIds[0]);
+        if (lane !== -1 && this.trackViewBox.height > this.MIN_TRACK_HEIGHT) {
+            this.scrollTrackTo((lane + 0.5) * this.trackViewBox.height / this.users.length);
+        }
+
+        if (this.useCanvas) {
+            this.highlightedUserIds = userIds;
+            this.drawHorses();
+            return;
+        }
+
         const horsesGroup = document.querySelector('#horses');
         if (horsesGroup) {
             // Remove previous highlights
@@ -807,17 +1874,26 @@ const Race = {
                 horse.classList.remove('winner');
             });
 
-            // Add winner class to winning horse's inner element
-            const winnerContainer = document.getElementById(`horse-${userId}`);
-            if (winnerContainer) {
-                const winnerHorse = winnerContainer.querySelector('.race-horse');
-                if (winnerHorse) {
-                    winnerHorse.classList.add('winner');
+            // Add winner class to each winning horse's inner element
+            userIds.forEach(userId => {
+                const winnerContainer = document.getElementById(`horse-${userId}`);
+                if (winnerContainer) {
+                    const winnerHorse = winnerContainer.querySelector('.race-horse');
+                    if (winnerHorse) {
+                        winnerHorse.classList.add('winner');
+                    }
                 }
-            }
+            });
         }
     },
 
+    /**
+     * List names for commentary ("Alice", "Alice and Bob", "Alice, Bob and Carol")
+     */
+    listNames(names) {
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+    },
+
     /**
      * Clean up race state
      */
@@ -832,13 +1908,36 @@ const Race = {
             this.raceTimeoutId = null;
         }
 
+        if (this.handoverTimeoutId) {
+            clearTimeout(this.handoverTimeoutId);
+            this.handoverTimeoutId = null;
+        }
+        if (this.handoverFrameId) {
+            cancelAnimationFrame(this.handoverFrameId);
+            this.handoverFrameId = null;
+        }
+        this.handoverPlaying = false;
+        const batonsGroup = document.getElementById('batons');
+        if (batonsGroup) batonsGroup.innerHTML = '';
+
         this.isRacing = false;
         this.horses = [];
-
-        // Reset fall state
-        this.fallenHorseUserId = null;
-        this.fallTime = -1;
-        this.hasFallen = false;
+        this.timeline = null;
+        this.nextEventIndex = 0;
+        this.clearPhotoFinish();
+        this.cameraViewBox = null;
+        this.cameraTime = null;
+
+        // Reset pause state (paused speech has to be resumed before it can be cancelled)
+        if (this.isPaused && window.speechSynthesis) window.speechSynthesis.resume();
+        this.startTime = null;
+        this.isPaused = false;
+        this.autoPaused = false;
+        this.pausedAt = null;
+        this.pausedTotal = 0;
+        this.photoFinishPlaying = false;
+        document.getElementById('race-track')?.classList.remove('paused');
+        this.updateRaceControls();
 
         // Stop any voice commentary
         if (window.speechSynthesis) window.speechSynthesis.cancel();
@@ -848,17 +1947,21 @@ const Race = {
         this.previousLeader = null;
         this.previousPositions = [];
 
-        // Hide commentary when not racing
+        // Hide commentary and the draw commitment when not racing
         const commentaryDisplay = document.getElementById('race-commentary');
         if (commentaryDisplay) {
             commentaryDisplay.classList.add('hidden');
         }
+        const fairnessDisplay = document.getElementById('race-fairness');
+        if (fairnessDisplay) {
+            fairnessDisplay.classList.add('hidden');
+        }
 
         // Remove racing/fallen animation from all horses
         const horsesGroup = document.querySelector('#horses');
         if (horsesGroup) {
             horsesGroup.querySelectorAll('.race-horse').forEach(horse => {
-                horse.classList.remove('racing', 'fallen');
+                horse.classList.remove('racing', 'fallen', 'eliminated');
             });
         }
 
@@ -889,7 +1992,7 @@ const Race = {
      */
     canRace() {
         const enabledUsers = Storage.getEnabledUsers();
-        return enabledUsers.length >= 2 && !this.isRacing;
+        return enabledUsers.length >= 2 && !this.isRacing && !this.handoverPlaying;
     }
 };
 
@@ -0,0 +1,59 @@
+/**
+ * Random Module - Seedable pseudo-random number generator
+ * Every random decision in a race draws from one generator so a race can be re-run from its seed
+ */
+
+const SeededRandom = {
+    MAX_SEED_LENGTH: 48, // generated seeds are 32 characters; older heat and leg seeds add a suffix such as '-heat12'
+
+    /**
+     * Check a seed someone typed or linked: 1 to 48 letters, digits, dashes or underscores
+     */
+    isValidSeed(seed) {
+        return typeof seed === 'string' && seed.length <= this.MAX_SEED_LENGTH && /^[A-Za-z0-9_-]+$/.test(seed);
+    },
+
+    /**
+     * Generate a fresh seed: 128 random bits as 32 hex characters, far too many to search
+     */
+    generateSeed() {
+        const values = new Uint32Array(4);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(values);
+        } else {
+            values.forEach((value, index) => {
+                values[index] = Math.floor(Math.random() * 0x100000000);
+            });
+        }
+        return Array.from(values, value => value.toString(16).padStart(8, '0')).join('');
+    },
+
+    /**
+     * Hash a seed string into a 32-bit integer (FNV-1a)
+     */
+    hashSeed(seed) {
+        let hash = 0x811c9dc5;
+        const text = String(seed);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Create a generator for a seed
+     * Returns a function that behaves like Math.random() (floats in [0, 1))
+     */
+    create(seed) {
+        // mulberry32: small, fast and good enough for racing
+        let state = this.hashSeed(seed);
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+};
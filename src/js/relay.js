@@ -0,0 +1,110 @@
+/**
+ * Relay Module - Team relay races run as a series of legs
+ * Each team races in one lane; every leg is an ordinary Race.race() run with the team's next runner.
+ * Later legs start staggered by how far each team was behind at the end of the last one, and only
+ * the anchor leg decides (and records) the winning team.
+ */
+
+const Relay = {
+    MIN_TEAMS: 2,
+    STAGGER_SCALE: 0.3, // px of stagger per px a team was behind at the end of the previous leg
+    current: null,      // { id, seeds, teams: [{ name, members }], legs, leg, startOffsets }
+
+    /**
+     * Start a new relay between the given teams (replaces a relay whose leg was aborted)
+     * Every leg gets a fresh seed, so a leg's revealed seed says nothing about the next one
+     */
+    start(teams) {
+        const legs = Math.max(...teams.map(team => team.members.length));
+        this.current = {
+            id: Date.now().toString(),
+            seeds: Array.from({ length: legs }, () => SeededRandom.generateSeed()),
+            teams: teams,
+            legs: legs,
+            leg: 0,
+            startOffsets: teams.map(() => 0)
+        };
+        return this.current;
+    },
+
+    /**
+     * Runner for a team on a leg; smaller teams send their first runners out again
+     */
+    getRunner(team, leg) {
+        return team.members[leg % team.members.length];
+    },
+
+    /**
+     * Get the Race.race() options for the next leg
+     * Every team gets the same weight, so each team is equally likely to win the anchor leg
+     */
+    getNextLeg() {
+        const { id, seeds, teams, legs, leg, startOffsets } = this.current;
+        const isAnchor = leg === legs - 1;
+        return {
+            mode: isAnchor ? 'relay' : 'relay-leg',
+            roster: teams.map(team => {
+                const runner = this.getRunner(team, leg);
+                return {
+                    id: runner.id,
+                    name: runner.name,
+                    label: `${team.name}: ${runner.name}`,
+                    color: runner.color,
+                    weight: Storage.DEFAULT_WEIGHT,
+                    relayTeam: team.name
+                };
+            }),
+            seed: seeds[leg],
+            startOffsets: startOffsets,
+            relay: {
+                id,
+                leg: leg + 1,
+                legs,
+                teams: teams.map(team => ({
+                    name: team.name,
+                    runners: Array.from({ length: legs }, (_, index) => this.getRunner(team, index).name)
+                }))
+            }
+        };
+    },
+
+    /**
+     * Run the relay leg by leg, with a baton handover in between
+     * onComplete gets the anchor leg's winner and finishing order, named by team
+     */
+    run(onComplete) {
+        const leg = this.getNextLeg();
+        const relayId = leg.relay.id;
+
+        Race.race((result, finishingOrder) => {
+            // An abandoned or restarted relay never carries on
+            if (!this.current || this.current.id !== relayId) return;
+
+            const teamOf = userId => leg.roster.find(user => user.id === userId).relayTeam;
+            this.current.leg++;
+            if (this.current.leg === this.current.legs) {
+                this.current = null;
+                onComplete(
+                    { ...result, name: result.relayTeam },
+                    finishingOrder.map(finisher => ({ ...finisher, userName: teamOf(finisher.userId) }))
+                );
+                return;
+            }
+
+            const positions = leg.roster.map(user => finishingOrder.find(f => f.userId === user.id).position);
+            this.current.startOffsets = this.getStaggeredStarts(positions);
+            const next = this.getNextLeg();
+            Race.playHandover(next.roster, next.startOffsets, positions, () => this.run(onComplete));
+        }, leg);
+    },
+
+    /**
+     * Stagger the next leg's start by how far each team finished behind the leading team
+     * (the leader starts on the line, nobody further back than a handicap)
+     */
+    getStaggeredStarts(positions) {
+        const reached = positions.map(position => Math.min(position, Race.finishLineX));
+        const lead = Math.max(...reached);
+        return reached.map(position => -Math.min(Race.HANDICAP_MAX, Math.round((lead - position) * this.STAGGER_SCALE)));
+    }
+};
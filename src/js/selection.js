@@ -0,0 +1,364 @@
+/**
+ * Selection Module - Decides the odds for each racer and draws the winner
+ * Supports pure random, avoid-last-winner and fairness-debt selection modes,
+ * plus an exact no-repeat window and "everyone once before anyone twice" rounds
+ */
+
+const Selection = {
+    // Available selection modes
+    MODES: {
+        RANDOM: 'random',
+        AVOID_LAST: 'avoidLast',
+        FAIRNESS_DEBT: 'fairnessDebt'
+    },
+
+    // Human readable mode names (used in settings, history and statistics)
+    MODE_LABELS: {
+        random: 'Pure random',
+        avoidLast: 'Avoid last winner',
+        fairnessDebt: 'Fairness debt'
+    },
+
+    // Most groups tried when checking kept-apart pairs (across a whole draw), so rules that can't be met never hang the page
+    SEARCH_LIMIT: 100000,
+
+    /**
+     * Get odds for the given users using the current settings and history
+     */
+    getCurrentOdds(users) {
+        return this.computeOdds(users, {
+            mode: Storage.getSetting('selectionMode'),
+            history: Storage.getPickHistory(),
+            lastSelectedId: Storage.getLastSelected(),
+            noRepeatWindow: Storage.getSetting('noRepeatWindow'),
+            roundRobin: Storage.getSetting('roundRobin')
+        });
+    },
+
+    /**
+     * Compute each user's odds for the next race
+     * Returns one entry per user (same order): { userId, weight, probability, reason }
+     *
+     * Eligibility rules are applied exactly before weighting:
+     *   - rounds: nobody wins twice until every user has won once
+     *   - no-repeat window: the last N distinct winners cannot win again
+     * The window shrinks only if it would otherwise leave nobody eligible.
+     */
+    computeOdds(users, { mode, history = [], lastSelectedId = null, noRepeatWindow = 0, roundRobin = false }) {
+        const odds = users.map(user => ({
+            userId: user.id,
+            weight: user.weight,
+            probability: 0,
+            reason: this.describeWeight(user.weight)
+        }));
+
+        if (mode === this.MODES.FAIRNESS_DEBT) {
+            // Each race without a win adds one more "ticket" on top of the base weight
+            users.forEach((user, index) => {
+                const debt = this.getRacesSinceWin(user, history);
+                odds[index].weight = user.weight * (1 + debt.races);
+                odds[index].reason = debt.hasWon
+                    ? `${debt.races} race${debt.races === 1 ? '' : 's'} since last win`
+                    : `No wins yet (${debt.races} race${debt.races === 1 ? '' : 's'} since joining)`;
+                if (user.weight !== Storage.DEFAULT_WEIGHT) {
+                    odds[index].reason += `, ${this.describeWeight(user.weight).toLowerCase()}`;
+                }
+            });
+        }
+
+        // Rounds: only users who haven't won in the current round are eligible
+        const round = roundRobin ? this.getRoundState(users, history) : null;
+        const eligible = new Set(users.map(u => u.id));
+        if (round) {
+            round.winners.forEach(userId => {
+                eligible.delete(userId);
+                const entry = odds.find(o => o.userId === userId);
+                entry.weight = 0;
+                entry.reason = `Already won in round ${round.number}`;
+            });
+        }
+
+        // No-repeat window: "avoid last winner" always keeps at least the last winner out
+        // (every one of them after a multi-winner race)
+        const lastWinnerIds = history.length > 0 ? Storage.getWinnerIds(history[history.length - 1]) : [];
+        let windowSize = Math.max(0, parseInt(noRepeatWindow) || 0);
+        if (mode === this.MODES.AVOID_LAST) {
+            windowSize = Math.max(lastWinnerIds.length || 1, windowSize);
+        }
+        windowSize = Math.min(windowSize, users.length - 1);
+
+        const recentWinners = this.getRecentWinners(history, lastSelectedId);
+        while (windowSize > 0 && [...eligible].every(id => recentWinners.slice(0, windowSize).includes(id))) {
+            windowSize--;
+        }
+
+        recentWinners.slice(0, windowSize).forEach((userId, position) => {
+            const entry = odds.find(o => o.userId === userId);
+            if (!entry || entry.weight === 0) return;
+            const waiting = windowSize - position;
+            entry.weight = 0;
+            const wonLastRace = position === 0 || lastWinnerIds.includes(userId);
+            entry.reason = wonLastRace && windowSize <= Math.max(1, lastWinnerIds.length)
+                ? 'Won the last race, sitting this one out'
+                : `Won recently, waiting for ${waiting} more ${waiting === 1 ? 'person' : 'people'} to win`;
+        });
+
+        const totalWeight = odds.reduce((sum, o) => sum + o.weight, 0);
+        odds.forEach(o => {
+            o.probability = totalWeight > 0 ? o.weight / totalWeight : 1 / odds.length;
+        });
+
+        return odds;
+    },
+
+    /**
+     * Get distinct winner ids, most recent first (a multi-winner race's winners in finishing order)
+     */
+    getRecentWinners(history, lastSelectedId = null) {
+        const winners = [];
+        for (let i = history.length - 1; i >= 0; i--) {
+            Storage.getWinnerIds(history[i]).forEach(userId => {
+                if (!winners.includes(userId)) {
+                    winners.push(userId);
+                }
+            });
+        }
+
+        // History may have been cleared while the last selection is still remembered
+        if (lastSelectedId && !winners.includes(lastSelectedId) && history.length === 0) {
+            winners.unshift(lastSelectedId);
+        }
+
+        return winners;
+    },
+
+    /**
+     * Work out the current round: a round ends once every user has won at least once
+     * Returns { number, winners } where winners are user ids who already won this round
+     */
+    getRoundState(users, history) {
+        const userIds = users.map(u => u.id);
+        let number = 1;
+        let winners = [];
+
+        history.forEach(entry => {
+            Storage.getWinnerIds(entry).forEach(userId => {
+                if (userIds.includes(userId) && !winners.includes(userId)) {
+                    winners.push(userId);
+                }
+                if (winners.length === userIds.length) {
+                    number++;
+                    winners = [];
+                }
+            });
+        });
+
+        return { number, winners };
+    },
+
+    /**
+     * Count races since the user last won (or since they joined if they never won)
+     */
+    getRacesSinceWin(user, history) {
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (Storage.getWinnerIds(history[i]).includes(user.id)) {
+                return { races: history.length - 1 - i, hasWon: true };
+            }
+        }
+
+        const joined = user.createdAt ? new Date(user.createdAt).getTime() : 0;
+        const races = history.filter(entry => new Date(entry.timestamp).getTime() >= joined).length;
+        return { races, hasWon: false };
+    },
+
+    /**
+     * Describe a user's base weight
+     */
+    describeWeight(weight) {
+        return weight === Storage.DEFAULT_WEIGHT ? 'Standard odds' : `Weighted ×${weight}`;
+    },
+
+    /**
+     * Draw an index with probability proportional to each entry's probability
+     */
+    pickIndex(odds, random = Math.random) {
+        let roll = random();
+
+        for (let i = 0; i < odds.length; i++) {
+            roll -= odds[i].probability;
+            if (roll < 0) return i;
+        }
+
+        // Guard against floating point drift: fall back to the last user with any chance
+        for (let i = odds.length - 1; i >= 0; i--) {
+            if (odds[i].probability > 0) return i;
+        }
+        return odds.length - 1;
+    },
+
+    /**
+     * Draw several different winners, one after another: each draw is from whoever is left,
+     * in proportion to their probability. Once everyone with a chance has been drawn, the
+     * remaining places go to the rest with equal chances.
+     * apart lists index pairs that mustn't both win: each draw is then only from those who can
+     * still make a full set of winners with everyone drawn so far. The whole draw shares one
+     * SEARCH_LIMIT budget and throws (see failDraw) rather than break a rule.
+     * Returns the drawn indices in draw order
+     */
+    pickWinners(odds, count, random = Math.random, apart = []) {
+        const remaining = odds.map((o, index) => ({ index, probability: o.probability }));
+        const conflicts = this.getConflicts(odds.length, apart);
+        const budget = { steps: this.SEARCH_LIMIT };
+        const winners = [];
+
+        while (winners.length < count && remaining.length > 0) {
+            let eligible = remaining;
+            if (apart.length > 0) {
+                eligible = remaining.filter(r => this.canJoinGroup(winners, r.index, conflicts) && this.canCompleteGroup(
+                    [...winners, r.index],
+                    remaining.filter(other => other !== r).map(other => other.index),
+                    count,
+                    conflicts,
+                    budget
+                ));
+                // A search cut short could have ruled out someone who fits, so the draw stops either way
+                if (eligible.length === 0 || budget.steps < 0) this.failDraw(budget);
+            }
+
+            const total = eligible.reduce((sum, r) => sum + r.probability, 0);
+            const pool = eligible.map(r => ({
+                probability: total > 0 ? r.probability / total : 1 / eligible.length
+            }));
+            const pick = eligible[this.pickIndex(pool, random)];
+            winners.push(pick.index);
+            remaining.splice(remaining.indexOf(pick), 1);
+        }
+
+        return winners;
+    },
+
+    /**
+     * Turn pairs of user ids into pairs of roster indices (pairs with someone not racing are dropped)
+     */
+    toIndexPairs(roster, pairs) {
+        return pairs
+            .map(pair => pair.map(id => roster.findIndex(user => user.id === id)))
+            .filter(pair => pair[0] !== -1 && pair[1] !== -1);
+    },
+
+    /**
+     * For each of count racers, the set of indices they must be kept apart from
+     */
+    getConflicts(count, apart) {
+        const conflicts = Array.from({ length: count }, () => new Set());
+        apart.forEach(([a, b]) => {
+            conflicts[a].add(b);
+            conflicts[b].add(a);
+        });
+        return conflicts;
+    },
+
+    /**
+     * Check whether someone can join a group without being kept apart from any member
+     */
+    canJoinGroup(group, index, conflicts) {
+        return !group.some(member => conflicts[member].has(index));
+    },
+
+    /**
+     * Check whether a group (with no kept-apart pair in it) can grow to size people from the candidates
+     * without one (a depth-first search that gives up once budget.steps runs out, leaving it below zero)
+     */
+    canCompleteGroup(group, candidates, size, conflicts, budget = { steps: this.SEARCH_LIMIT }) {
+        if (group.length >= size) return true;
+
+        const open = candidates.filter(candidate => this.canJoinGroup(group, candidate, conflicts));
+        for (let k = 0; k <= open.length - (size - group.length); k++) {
+            if (--budget.steps < 0) return false;
+            if (this.canCompleteGroup([...group, open[k]], open.slice(k + 1), size, conflicts, budget)) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Stop a draw that can't keep every pair apart. The error's tooMany is true when the search ran
+     * out of steps rather than proving the rules can't be met; Race.race explains either before the start
+     */
+    failDraw(budget) {
+        const tooMany = budget.steps < 0;
+        const error = new Error(tooMany ? 'Too many pairing rules to check' : 'The pairing rules can\'t be met');
+        error.name = 'PairingError';
+        error.tooMany = tooMany;
+        throw error;
+    },
+
+    /**
+     * Emergent multi-winner races with kept-apart pairs: the shortest clocks that can win together
+     * keep their clocks, and anyone faster who would break up that group is pushed back behind them.
+     * Racers without a clock who have to make up the numbers (in lane order) get one behind everyone
+     * else's, so the race can't swap them for someone kept apart.
+     * Returns the adjusted clocks; throws (see failDraw) when no group of count is found
+     */
+    separateClocks(clocks, count, apart) {
+        const conflicts = this.getConflicts(clocks.length, apart);
+        const order = clocks.map((clock, index) => index).sort((a, b) => clocks[a] - clocks[b]);
+        const budget = { steps: this.SEARCH_LIMIT };
+        const winners = [];
+        order.forEach((index, k) => {
+            if (winners.length < count && budget.steps >= 0 && this.canJoinGroup(winners, index, conflicts) &&
+                this.canCompleteGroup([...winners, index], order.slice(k + 1), count, conflicts, budget)) {
+                winners.push(index);
+            }
+        });
+        if (winners.length < count || budget.steps < 0) this.failDraw(budget);
+
+        const slowest = Math.max(0, ...clocks.filter(clock => Number.isFinite(clock))) || 1;
+        const adjusted = [...clocks];
+        winners.forEach((index, k) => {
+            if (!Number.isFinite(adjusted[index])) adjusted[index] = slowest * (2 + k);
+        });
+
+        const lastWinnerClock = adjusted[winners[winners.length - 1]];
+        return adjusted.map((clock, index) =>
+            !winners.includes(index) && clock <= lastWinnerClock ? clock + lastWinnerClock : clock
+        );
+    },
+
+    /**
+     * Draw each racer's "finish clock" for the emergent race engine
+     * Each clock is exponential with rate equal to the racer's probability. For competing
+     * exponential clocks, P(clock i runs out first) = rate_i / sum(rates) = probability_i,
+     * so whoever's clock is shortest wins with exactly the configured odds. Racers with no
+     * chance get an infinite clock.
+     */
+    drawFinishClocks(odds, random = Math.random) {
+        return odds.map(o => o.probability > 0 ? -Math.log(1 - random()) / o.probability : Infinity);
+    },
+
+    /**
+     * Break a dead heat between racer indices using a generator derived from the race seed
+     */
+    breakTie(indices, seed) {
+        const random = SeededRandom.create(`${seed}:tiebreak`);
+        return indices[Math.floor(random() * indices.length)];
+    },
+
+    /**
+     * Build the explanation stored with a history entry
+     */
+    explainPick(odds, index, mode) {
+        return {
+            mode: mode,
+            probability: Math.round(odds[index].probability * 1000) / 1000,
+            reason: odds[index].reason,
+            eligible: odds.filter(o => o.probability > 0).length
+        };
+    },
+
+    /**
+     * Format a probability (0-1) as a percentage string
+     */
+    formatProbability(probability) {
+        return `${(probability * 100).toFixed(1)}%`;
+    }
+};
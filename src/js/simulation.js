@@ -0,0 +1,632 @@
+/**
+ * Simulation Module - Pure race simulation, no DOM
+ * Given a roster, duration, seed and options it returns a per-frame position timeline
+ * plus the result. Race renders the timeline; tools/simulate.js runs it in Node for bulk checks.
+ */
+
+/**
+ * HorseState Class - Manages individual horse position and velocity during race
+ */
+class HorseState {
+    constructor(index, userId, userName, color, isWinner, totalDuration, raceDistance, random = Math.random, startX = 50) {
+        this.index = index;
+        this.random = random; // seeded generator shared by the whole race
+        this.userId = userId;
+        this.userName = userName;
+        this.color = color;
+        this.isWinner = isWinner;
+        this.hasFallen = false;
+        this.startX = startX; // Start position (pixels from left); handicaps stagger it
+        this.position = startX;
+        this.finishAt = null;   // emergent engine: elapsed ms at which this horse reaches the line
+        this.finishTime = null; // elapsed ms when the horse actually crossed the finish line
+        this.incidents = [];    // steeplechase: upcoming { type, fence, at, delay }, in fence order
+        this.stalledUntil = 0;  // elapsed ms until which the horse stands still after an incident
+        this.stalledTime = 0;   // total ms spent standing still, taken out of the horse's own race clock
+        this.eliminatedAt = null; // elimination races: elapsed ms when the horse was knocked out
+        this.raceDistance = raceDistance;
+        this.totalDuration = totalDuration;
+
+        // Calculate base speed (pixels per millisecond)
+        this.baseSpeed = this.raceDistance / this.totalDuration;
+        this.velocity = this.baseSpeed;
+
+        // Generate random speed change events
+        this.speedChanges = this.generateSpeedChanges();
+        this.currentSpeedIndex = 0;
+
+        // Track when final stretch begins (last 30% of race)
+        this.finalStretchStart = this.totalDuration * 0.7;
+
+        // Random finish position for non-winners (85-96% of race distance)
+        // This adds variety and prevents all horses from stopping at the same place
+        this.maxFinishPercent = 0.85 + (this.random() * 0.11);
+
+        // Random slowdown characteristics for non-winners
+        this.slowdownRate = 0.5 + (this.random() * 0.3); // 0.5 to 0.8
+
+        // When non-winners start slowing (30-50% through race)
+        this.slowdownStart = this.totalDuration * (0.3 + this.random() * 0.2);
+    }
+
+    /**
+     * Generate random speed change events throughout the race
+     */
+    generateSpeedChanges() {
+        const changes = [];
+        const numChanges = 6 + Math.floor(this.random() * 5); // 6-10 changes
+
+        for (let i = 0; i < numChanges; i++) {
+            const timePoint = (this.totalDuration / (numChanges + 1)) * (i + 1);
+
+            // More variation in speed for competitive racing
+            // Winner and non-winners get same speed variations initially
+            const speedMultiplier = 0.6 + this.random() * 1.2; // 0.6x to 1.8x base speed
+
+            changes.push({
+                time: timePoint,
+                multiplier: speedMultiplier
+            });
+        }
+
+        return changes.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Emergent engine: pace this horse to reach the finish line at the given time
+     * The horse still follows its own random speed profile, just scaled to its finish time
+     */
+    setFinishTime(finishAt) {
+        this.finishAt = finishAt;
+        this.finishProfileDistance = this.profileDistance(finishAt);
+    }
+
+    /**
+     * Distance covered by the given time on the unscaled speed profile (base speed = 1)
+     */
+    profileDistance(time) {
+        let distance = 0;
+        let lastTime = 0;
+        let multiplier = 1;
+
+        for (const change of this.speedChanges) {
+            if (change.time >= time) break;
+            distance += (change.time - lastTime) * multiplier;
+            lastTime = change.time;
+            multiplier = change.multiplier;
+        }
+
+        return distance + (time - lastTime) * multiplier;
+    }
+
+    /**
+     * Update horse position based on elapsed time
+     */
+    update(elapsedTime, deltaTime) {
+        // Emergent engine: nobody is the winner, every horse just runs its own paced profile
+        if (this.finishAt !== null) {
+            this.position = this.startX + this.raceDistance * (this.profileDistance(elapsedTime) / this.finishProfileDistance);
+            return;
+        }
+
+        // Use actual delta time for frame-rate independent animation
+        // Cap deltaTime to prevent huge jumps if tab was backgrounded
+        const cappedDeltaTime = Math.min(deltaTime, 50);
+
+        // Apply speed changes at scheduled times (only before final stretch for non-winners)
+        if (this.isWinner || elapsedTime < this.finalStretchStart) {
+            while (this.currentSpeedIndex < this.speedChanges.length &&
+                   elapsedTime >= this.speedChanges[this.currentSpeedIndex].time) {
+                const change = this.speedChanges[this.currentSpeedIndex];
+                this.velocity = this.baseSpeed * change.multiplier;
+                this.currentSpeedIndex++;
+            }
+        }
+
+        // Calculate movement based on whether this is the winner
+        let movement = 0;
+
+        // Calculate movement based on winner vs non-winner
+        if (this.isWinner) {
+            // WINNER LOGIC: Maintain speed and get boost in final stretch
+            if (elapsedTime >= this.finalStretchStart) {
+                // In final 30%, winner gets progressive speed boost
+                const finalProgress = (elapsedTime - this.finalStretchStart) / (this.totalDuration - this.finalStretchStart);
+                const boost = 1 + (finalProgress * 0.8); // Up to 1.8x boost in final stretch
+                movement = this.baseSpeed * cappedDeltaTime * boost;
+
+                // Ensure winner crosses finish line by end
+                const targetPosition = this.startX + this.raceDistance;
+                const minPosition = this.startX + (this.raceDistance * (0.7 + (finalProgress * 0.3)));
+                if (this.position < minPosition) {
+                    this.position = minPosition;
+                }
+            } else {
+                // Before final stretch - use current velocity from speed changes
+                movement = this.velocity * cappedDeltaTime;
+            }
+        } else {
+            // NON-WINNER LOGIC: Progressive slowdown throughout race
+            const targetPosition = this.startX + (this.raceDistance * this.maxFinishPercent);
+            const distanceRemaining = targetPosition - this.position;
+
+            if (elapsedTime < this.slowdownStart) {
+                // Early race (before slowdown starts) - normal variable speed
+                movement = this.velocity * cappedDeltaTime;
+            } else {
+                // After slowdown starts - gradual deceleration throughout remainder of race
+                const slowdownDuration = this.totalDuration - this.slowdownStart;
+                const slowdownProgress = (elapsedTime - this.slowdownStart) / slowdownDuration;
+
+                // Progressive slowdown: start at current speed, end at ~30-40% speed
+                // Curve the slowdown - slow more gradually at first, then more rapidly
+                const slowdownCurve = Math.pow(slowdownProgress, 1.5);
+                const speedMultiplier = 1 - (slowdownCurve * this.slowdownRate);
+
+                // Also factor in distance remaining to target
+                let distanceFactor = 1.0;
+                if (distanceRemaining > 0 && distanceRemaining < 200) {
+                    // Close to target - slow down more based on proximity
+                    distanceFactor = Math.max(0.4, distanceRemaining / 200);
+                } else if (distanceRemaining <= 0) {
+                    // Past target - maintain minimum speed
+                    distanceFactor = 0.3;
+                }
+
+                // Combine factors and ensure minimum speed
+                const finalSpeedMultiplier = Math.max(0.3, speedMultiplier * distanceFactor);
+                this.velocity = this.baseSpeed * finalSpeedMultiplier;
+                movement = this.velocity * cappedDeltaTime;
+            }
+        }
+
+        // Apply the movement - always move forward
+        this.position += movement;
+
+        // Ensure winner finishes
+        if (this.isWinner && elapsedTime >= this.totalDuration * 0.95) {
+            const targetPosition = this.startX + this.raceDistance;
+            if (this.position < targetPosition) {
+                this.position = targetPosition;
+            }
+        }
+    }
+}
+
+const Simulation = {
+    STEP_MS: 1000 / 60,    // fixed simulation step, so every race is reproducible from its seed
+    START_X: 50,
+    RACE_DISTANCE: 900,
+    FINISH_X: 950,
+
+    // Emergent engine: the shortest finish clock crosses the line at this fraction of the race,
+    // everyone else proportionally later (clock ratio ^ spread). Horses with no chance never finish.
+    EMERGENT_WINNER_FINISH: 0.9,
+    EMERGENT_SPREAD: 0.15,
+    EMERGENT_NO_CHANCE_FINISH: 1.4,
+
+    // A race is a photo finish when the leader hits the line less than this far (px) ahead of second place
+    PHOTO_FINISH_MARGIN: 40,
+
+    // Steeplechase: fences at these fractions of the race distance. With falls on, a horse may
+    // refuse a fence (stops short, then jumps) or unseat its rider on landing (stops to remount).
+    // Either costs the horse time; neither ever happens to the horse on course to win.
+    FENCES: [0.2, 0.4, 0.6, 0.8],
+    REFUSE_CHANCE: 0.05,   // per horse per fence
+    UNSEAT_CHANCE: 0.03,
+    REFUSE_DELAY: 800,     // ms stood at the fence
+    UNSEAT_DELAY: 1200,    // ms to remount
+    REFUSE_GAP: 30,        // px short of the fence where a refusing horse stops
+    LANDING_GAP: 30,       // px past the fence where a horse lands
+
+    // Elimination: each time the leader passes a checkpoint the last-placed horse is knocked out.
+    // Checkpoints are spread evenly between these fractions of the race distance, one fewer than
+    // there are horses, so one is left standing. Like falls, it never picks the horse on course
+    // to win, and that horse is never allowed to drop to the back.
+    ELIMINATION_FIRST_CHECKPOINT: 0.3,
+    ELIMINATION_LAST_CHECKPOINT: 0.8,
+
+    // Multi-winner races: the scripted engine paces the winners to cross the line one after another,
+    // in the order they were drawn, between these fractions of the race. The emergent engine narrows
+    // its spread so the last winner's clock still reaches the line by the later one.
+    WINNERS_FIRST_FINISH: 0.85,
+    WINNERS_LAST_FINISH: 0.97,
+
+    /**
+     * Run a whole race
+     * Options:
+     *   roster - [{ id, name, color, probability }] in lane order
+     *   duration - race length in ms
+     *   seed - seed for every random decision in the race
+     *   engine - 'scripted' (winner drawn at the start) or 'emergent' (first past the post wins)
+     *   horseCanFall - whether a horse may fall (and, over fences, refuse or unseat)
+     *   steeplechase - run over fences
+     *   elimination - knock out the last-placed horse at checkpoints until one is left
+     *   startOffsets - handicap: px each lane starts ahead of (+) or behind (-) the start line.
+     *                  Every horse is paced over its own distance, so the odds don't change.
+     *   winners - how many of the top finishers win (not with elimination). The scripted engine draws
+     *             them one after another without replacement; for the emergent engine the first
+     *             clocks to run out are exactly such a draw.
+     *   keepApart - pairs of user ids that mustn't both win a multi-winner race (see Selection.pickWinners
+     *               and Selection.separateClocks)
+     *   recordFrames - set false to skip the position timeline (much faster for bulk runs)
+     *
+     * Returns { seed, engine, duration, stepMs, frames, events, result } where
+     *   frames[k] holds every horse's position at time k * stepMs,
+     *   events are { time, type, index } in time order, type being 'fall' or 'finish', or for
+     *   steeplechases 'refuse', 'unseat' or 'clear' (the leader is over a fence) with a fence index,
+     *   or for elimination races 'eliminate' with the number of horses left,
+     *   result is { winnerIndex, winnerIndices, finishingOrder, photoFinish }, winnerIndices being
+     *   every winner in finishing order (just the winner unless winners > 1), and photoFinish is
+     *   { time, margin, leaderIndex, secondIndex } for a close finish and null otherwise
+     *
+     * One seeded generator drives every random decision, in a fixed order:
+     * winner pick (every winner in turn for multi-winner races, or every finish clock, in lane
+     * order, for the emergent engine),
+     * then each horse's speed profile (in lane order), then the fall, then the fence incidents.
+     */
+    run({
+        roster, duration, seed, engine = 'scripted', horseCanFall = false, steeplechase = false,
+        elimination = false, startOffsets = null, winners = 1, keepApart = [], recordFrames = true
+    }) {
+        const random = SeededRandom.create(seed);
+        const winnerCount = elimination ? 1 : Math.max(1, Math.min(winners, roster.length - 1));
+        const apart = winnerCount > 1 ? Selection.toIndexPairs(roster, keepApart) : [];
+
+        let winnerIndex = -1;
+        let winnerIndices = [];
+        let finishClocks = null;
+        if (engine === 'emergent') {
+            // Nobody is picked yet: the winner is whoever crosses the line first
+            finishClocks = Selection.drawFinishClocks(roster, random);
+            if (apart.length > 0) {
+                finishClocks = Selection.separateClocks(finishClocks, winnerCount, apart);
+            }
+        } else {
+            winnerIndices = winnerCount > 1
+                ? Selection.pickWinners(roster, winnerCount, random, apart)
+                : [Selection.pickIndex(roster, random)];
+            winnerIndex = winnerIndices[0];
+        }
+
+        const horses = roster.map((user, index) => {
+            const startX = this.START_X + (startOffsets ? startOffsets[index] || 0 : 0);
+            return new HorseState(
+                index,
+                user.id,
+                user.name,
+                user.color,
+                winnerIndices.includes(index),
+                duration,
+                this.FINISH_X - startX,
+                random,
+                startX
+            );
+        });
+
+        if (finishClocks) {
+            this.setEmergentFinishTimes(horses, finishClocks, duration, winnerCount);
+            if (winnerCount > 1) {
+                // Keep falls and fence incidents away from every horse on course to win
+                [...horses].sort((a, b) => a.finishAt - b.finishAt).slice(0, winnerCount)
+                    .forEach(horse => { horse.isWinner = true; });
+            }
+        } else if (winnerCount > 1) {
+            this.setWinnerFinishTimes(winnerIndices.map(index => horses[index]), duration);
+        }
+
+        const fall = horseCanFall ? this.drawFall(horses, duration, random) : null;
+        const fences = steeplechase ? this.getFencePositions() : [];
+        if (steeplechase && horseCanFall) {
+            this.drawFenceIncidents(horses, random);
+        }
+        let fencesCleared = 0;
+        const checkpoints = elimination ? this.getCheckpointPositions(roster.length) : [];
+        let checkpointsPassed = 0;
+
+        const frames = recordFrames ? [horses.map(h => h.position)] : [];
+        const events = [];
+        let time = 0;
+        let lineMargin = null; // gap between the first two horses when the first one hits the line
+
+        while (time + this.STEP_MS <= duration) {
+            time += this.STEP_MS;
+
+            // Trigger horse fall if the time has come (a horse already knocked out has pulled up)
+            if (fall && !fall.done && time >= fall.time) {
+                fall.done = true;
+                if (horses[fall.index].eliminatedAt === null) {
+                    horses[fall.index].hasFallen = true;
+                    events.push({ time, type: 'fall', index: fall.index });
+                }
+            }
+
+            horses.forEach(horse => {
+                if (horse.hasFallen || horse.eliminatedAt !== null) return; // fallen and knocked-out horses don't move
+                if (time < horse.stalledUntil) {
+                    horse.stalledTime += this.STEP_MS;
+                    return;
+                }
+                const previousPosition = horse.position;
+                horse.update(time - horse.stalledTime, this.STEP_MS);
+
+                // Refusing or unseating at a fence: hold the horse there for a while
+                const incident = horse.incidents[0];
+                if (incident && horse.position >= incident.at) {
+                    horse.incidents.shift();
+                    horse.position = incident.at;
+                    horse.stalledUntil = time + incident.delay;
+                    events.push({ time, type: incident.type, index: horse.index, fence: incident.fence });
+                }
+
+                // Note the moment each horse crosses the line (exact for the emergent engine,
+                // interpolated within the step otherwise)
+                if (horse.finishTime === null && horse.position >= this.FINISH_X) {
+                    horse.finishTime = horse.finishAt !== null
+                        ? horse.finishAt + horse.stalledTime
+                        : time - this.STEP_MS * (horse.position - this.FINISH_X) / (horse.position - previousPosition);
+                    events.push({ time, type: 'finish', index: horse.index });
+                }
+            });
+
+            // Note when the leader is safely over each fence (for the commentary); a horse held up
+            // by an unseat on the landing side doesn't count
+            while (fencesCleared < fences.length) {
+                const cleared = horses.filter(h => !h.hasFallen && time >= h.stalledUntil &&
+                    h.position >= fences[fencesCleared] + this.LANDING_GAP);
+                if (cleared.length === 0) break;
+                const leader = cleared.sort((a, b) => b.position - a.position)[0];
+                events.push({ time, type: 'clear', index: leader.index, fence: fencesCleared });
+                fencesCleared++;
+            }
+
+            // Knock out the last-placed horse as the leader passes each checkpoint
+            if (elimination) {
+                this.keepOffTheBack(horses);
+                const leader = Math.max(...horses.filter(h => h.eliminatedAt === null).map(h => h.position));
+                while (checkpointsPassed < checkpoints.length && leader >= checkpoints[checkpointsPassed]) {
+                    this.eliminateLast(horses, time, events);
+                    checkpointsPassed++;
+                }
+            }
+
+            if (lineMargin === null && horses.some(h => h.finishTime !== null && !h.hasFallen)) {
+                lineMargin = this.measureLineMargin(horses, time);
+            }
+
+            if (recordFrames) {
+                frames.push(horses.map(h => h.position));
+            }
+        }
+
+        if (finishClocks) {
+            // The last horse standing is always the one with the shortest clock
+            const survivors = horses.filter(h => h.eliminatedAt === null);
+            if (elimination && survivors.length === 1) {
+                winnerIndex = survivors[0].index;
+                horses[winnerIndex].isWinner = true;
+            } else {
+                winnerIndex = this.settleEmergentWinner(horses, seed);
+            }
+            // Winners in the order they crossed the line (place-fillers without a clock come in
+            // behind every horse with one, see setEmergentFinishTimes)
+            winnerIndices = this.getFinishingOrder(horses, [winnerIndex])
+                .slice(0, winnerCount)
+                .map(finisher => horses.findIndex(h => h.userId === finisher.userId));
+        }
+
+        return {
+            seed,
+            engine,
+            duration,
+            stepMs: this.STEP_MS,
+            frames,
+            events,
+            result: {
+                winnerIndex,
+                winnerIndices,
+                finishingOrder: this.getFinishingOrder(horses, winnerIndices),
+                photoFinish: lineMargin && lineMargin.margin < this.PHOTO_FINISH_MARGIN ? lineMargin : null
+            }
+        };
+    },
+
+    /**
+     * Measure how far the leader is ahead of second place at the given time
+     */
+    measureLineMargin(horses, time) {
+        const running = horses
+            .filter(h => !h.hasFallen && h.eliminatedAt === null)
+            .sort((a, b) => b.position - a.position);
+
+        return {
+            time,
+            margin: running.length > 1 ? running[0].position - running[1].position : Infinity,
+            leaderIndex: running[0].index,
+            secondIndex: running.length > 1 ? running[1].index : -1
+        };
+    },
+
+    /**
+     * Emergent engine: turn finish clocks into the time each horse reaches the line
+     * The mapping is the same strictly increasing function for every horse, so the
+     * order horses cross the line is exactly the order of their clocks. With several
+     * winners the spread narrows until the last of them with a clock gets there before the race ends.
+     * Winning places left over go to horses without a clock (in lane order, as in Selection.separateClocks),
+     * who follow the last horse with one over the line in that order.
+     */
+    setEmergentFinishTimes(horses, finishClocks, duration, winnerCount = 1) {
+        const shortest = Math.min(...finishClocks);
+        const clocks = finishClocks.filter(clock => Number.isFinite(clock)).sort((a, b) => a - b);
+        const fillers = horses
+            .filter((horse, index) => !Number.isFinite(finishClocks[index]))
+            .slice(0, Math.max(0, winnerCount - clocks.length));
+        const gap = (this.WINNERS_LAST_FINISH - this.EMERGENT_WINNER_FINISH) / winnerCount;
+        const lastWinnerClock = clocks[Math.min(winnerCount, clocks.length) - 1];
+        let spread = this.EMERGENT_SPREAD;
+        if (winnerCount > 1 && lastWinnerClock > shortest) {
+            const room = Math.log((this.WINNERS_LAST_FINISH - gap * fillers.length) / this.EMERGENT_WINNER_FINISH);
+            spread = Math.min(spread, room / Math.log(lastWinnerClock / shortest));
+        }
+
+        const getFinish = clock => this.EMERGENT_WINNER_FINISH * Math.pow(clock / shortest, spread);
+        horses.forEach((horse, index) => {
+            const clock = finishClocks[index];
+            horse.setFinishTime(duration * (Number.isFinite(clock) ? getFinish(clock) : this.EMERGENT_NO_CHANCE_FINISH));
+        });
+        fillers.forEach((horse, rank) => {
+            horse.setFinishTime(duration * (getFinish(lastWinnerClock) + gap * (rank + 1)));
+        });
+    },
+
+    /**
+     * Multi-winner scripted races: pace each winner to reach the line at its own time, in draw order
+     */
+    setWinnerFinishTimes(winners, duration) {
+        const spacing = (this.WINNERS_LAST_FINISH - this.WINNERS_FIRST_FINISH) / (winners.length - 1);
+        winners.forEach((horse, rank) => {
+            horse.setFinishTime(duration * (this.WINNERS_FIRST_FINISH + spacing * rank));
+        });
+    },
+
+    /**
+     * Decide whether a horse falls this race, and which one and when
+     * Returns { index, time } or null
+     */
+    drawFall(horses, duration, random) {
+        // ~40% chance any given race has a fall
+        if (random() >= 0.4) return null;
+
+        const nonWinners = this.getNonWinners(horses);
+        const victim = nonWinners[Math.floor(random() * nonWinners.length)];
+
+        // Fall happens between 20% and 65% through the race
+        return { index: victim.index, time: duration * (0.2 + random() * 0.45), done: false };
+    },
+
+    /**
+     * Get the horses that aren't on course to win
+     * Falls and fence incidents only ever pick from these, so they can't change the odds
+     * (emergent races: the horses with the shortest finish clock are left alone)
+     */
+    getNonWinners(horses) {
+        const fastestFinish = Math.min(...horses.map(h => h.finishAt === null ? Infinity : h.finishAt));
+        return horses.filter(h => !h.isWinner && h.finishAt !== fastestFinish);
+    },
+
+    /**
+     * Get the fence positions (px) for a steeplechase
+     */
+    getFencePositions() {
+        return this.FENCES.map(fraction => this.START_X + this.RACE_DISTANCE * fraction);
+    },
+
+    /**
+     * Get the elimination checkpoint positions (px) for a field of the given size
+     */
+    getCheckpointPositions(racers) {
+        const count = racers - 1;
+        const first = this.ELIMINATION_FIRST_CHECKPOINT;
+        const spacing = count > 1 ? (this.ELIMINATION_LAST_CHECKPOINT - first) / (count - 1) : 0;
+        return Array.from({ length: count }, (_, index) => this.START_X + this.RACE_DISTANCE * (first + spacing * index));
+    },
+
+    /**
+     * Elimination races: hold the horse on course to win level with the back marker rather than
+     * behind it, so the horse knocked out is always the one in last place
+     */
+    keepOffTheBack(horses) {
+        const running = horses.filter(h => h.eliminatedAt === null && !h.hasFallen);
+        const chasers = this.getNonWinners(running);
+        if (chasers.length === 0 || chasers.length === running.length) return;
+
+        const backMarker = Math.min(...chasers.map(h => h.position));
+        running.forEach(horse => {
+            if (!chasers.includes(horse) && horse.position < backMarker) horse.position = backMarker;
+        });
+    },
+
+    /**
+     * Knock out the last-placed horse still running (a fallen horse counts as behind everyone)
+     */
+    eliminateLast(horses, time, events) {
+        const running = horses.filter(h => h.eliminatedAt === null);
+        const candidates = this.getNonWinners(running)
+            .sort((a, b) => (b.hasFallen - a.hasFallen) || (a.position - b.position));
+        if (candidates.length === 0) return;
+
+        candidates[0].eliminatedAt = time;
+        events.push({ time, type: 'eliminate', index: candidates[0].index, remaining: running.length - 1 });
+    },
+
+    /**
+     * Decide which horses refuse or unseat at which fences
+     * One roll per fence per horse in lane order, so the draw sequence doesn't depend on who can win
+     */
+    drawFenceIncidents(horses, random) {
+        const nonWinners = this.getNonWinners(horses);
+
+        this.getFencePositions().forEach((x, fence) => {
+            horses.forEach(horse => {
+                const roll = random();
+                if (!nonWinners.includes(horse)) return;
+
+                if (roll < this.REFUSE_CHANCE) {
+                    horse.incidents.push({ type: 'refuse', fence, at: x - this.REFUSE_GAP, delay: this.REFUSE_DELAY });
+                } else if (roll < this.REFUSE_CHANCE + this.UNSEAT_CHANCE) {
+                    horse.incidents.push({ type: 'unseat', fence, at: x + this.LANDING_GAP, delay: this.UNSEAT_DELAY });
+                }
+            });
+        });
+    },
+
+    /**
+     * Emergent engine: the winner is the first horse across the line
+     * A dead heat is settled by a draw from the race seed (reproducible and verifiable)
+     */
+    settleEmergentWinner(horses, seed) {
+        const finished = horses.filter(h => h.finishTime !== null && !h.hasFallen);
+        let winnerIndex;
+
+        if (finished.length === 0) {
+            // Nobody made it to the line: the horse furthest ahead takes it
+            winnerIndex = [...horses].sort((a, b) => b.position - a.position)[0].index;
+        } else {
+            const firstTime = Math.min(...finished.map(h => h.finishTime));
+            const tied = finished.filter(h => h.finishTime === firstTime);
+            winnerIndex = tied.length > 1
+                ? Selection.breakTie(tied.map(h => h.index), seed)
+                : tied[0].index;
+        }
+
+        horses[winnerIndex].isWinner = true;
+        return winnerIndex;
+    },
+
+    /**
+     * Get the finishing order: the winners first, then by when they crossed the line,
+     * then by final position, fallen horses last
+     * In an elimination race knocked-out horses rank behind the rest, the last one out highest
+     */
+    getFinishingOrder(horses, winnerIndices) {
+        const winners = winnerIndices.map(index => horses[index]);
+        const others = horses
+            .filter(h => !winners.includes(h))
+            .sort((a, b) => {
+                if ((a.eliminatedAt === null) !== (b.eliminatedAt === null)) return a.eliminatedAt === null ? -1 : 1;
+                if (a.eliminatedAt !== null) return b.eliminatedAt - a.eliminatedAt;
+                if (a.hasFallen !== b.hasFallen) return a.hasFallen ? 1 : -1;
+                if ((a.finishTime === null) !== (b.finishTime === null)) return a.finishTime === null ? 1 : -1;
+                if (a.finishTime !== null) return a.finishTime - b.finishTime;
+                return b.position - a.position;
+            });
+
+        return [...winners, ...others].map((horse, index) => ({
+            place: index + 1,
+            userId: horse.userId,
+            userName: horse.userName,
+            position: Math.round(horse.position),
+            fell: horse.hasFallen
+        }));
+    }
+};
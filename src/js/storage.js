@@ -15,7 +15,9 @@ const Storage = {
         SETTINGS: 'settings',
         LAST_VIEW: 'lastView',
         FIRST_VISIT: 'firstVisit',
-        LAST_SELECTED: 'lastSelected'
+        LAST_SELECTED: 'lastSelected',
+        PAIR_EXCLUSIONS: 'pairExclusions',
+        TOURNAMENT: 'tournament'
     },
 
     // Default settings
@@ -27,7 +29,23 @@ const Storage = {
         commentaryEnabled: true,
         voiceCommentaryEnabled: false,
         selectedVoice: '',
-        horseCanFall: false
+        horseCanFall: false,
+        selectionMode: 'avoidLast',
+        noRepeatWindow: 0,
+        roundRobin: false,
+        raceMode: 'winner',
+        raceSeed: '',
+        raceEngine: 'scripted',
+        renderer: 'svg',
+        raceCamera: 'wide',
+        track: 'turf',
+        steeplechase: false,
+        handicap: false,
+        tournamentHeatSize: 4,
+        tournamentQualifiers: 1,
+        winnerCount: 1,
+        splitTeamCount: 2,
+        pairRepeatWindow: 0
     },
 
     // Color palette
@@ -40,6 +58,14 @@ const Storage = {
         '#FF5722', '#8E44AD'
     ],
 
+    // Roster size limit (lanes stay readable because the track scrolls past 16 racers)
+    MAX_USERS: 100,
+
+    // Selection weight (odds multiplier) bounds for each user
+    DEFAULT_WEIGHT: 1,
+    MIN_WEIGHT: 0.1,
+    MAX_WEIGHT: 10,
+
     /**
      * Get the entire namespace data object from localStorage
      */
@@ -115,10 +141,12 @@ const Storage = {
         try {
             const users = this._getNamespaceKey(this.STORAGE_KEYS.USERS);
             const parsedUsers = users ? users : [];
-            // Ensure all users have an enabled property (default to true for existing users)
+            // Ensure all users have enabled, weight and team properties (defaults for existing users)
             return parsedUsers.map(user => ({
                 ...user,
-                enabled: user.enabled !== undefined ? user.enabled : true
+                enabled: user.enabled !== undefined ? user.enabled : true,
+                weight: typeof user.weight === 'number' ? user.weight : this.DEFAULT_WEIGHT,
+                team: typeof user.team === 'string' ? user.team : ''
             }));
         } catch (e) {
             console.error('Error loading users:', e);
@@ -136,6 +164,8 @@ const Storage = {
             name: name.trim(),
             color: color,
             enabled: true,
+            weight: this.DEFAULT_WEIGHT,
+            team: '',
             createdAt: new Date().toISOString()
         };
         users.push(user);
@@ -151,6 +181,19 @@ const Storage = {
         return users.filter(user => user.enabled !== false);
     },
 
+    /**
+     * Group users into teams (users without a team are left out)
+     * Returns [{ name, members }] sorted by team name, members in roster order
+     */
+    getTeams(users = this.getEnabledUsers()) {
+        const teams = {};
+        users.filter(user => user.team).forEach(user => {
+            if (!teams[user.team]) teams[user.team] = { name: user.team, members: [] };
+            teams[user.team].members.push(user);
+        });
+        return Object.values(teams).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
     /**
      * Toggle user enabled state
      */
@@ -188,6 +231,7 @@ const Storage = {
         if (index !== -1) {
             users.splice(index, 1);
             this._setNamespaceKey(this.STORAGE_KEYS.USERS, users);
+            this._setNamespaceKey(this.STORAGE_KEYS.PAIR_EXCLUSIONS, this.getPairExclusions().filter(pair => !pair.includes(id)));
             return true;
         }
         return false;
@@ -209,6 +253,57 @@ const Storage = {
         return users.find(u => u.id === id) || null;
     },
 
+    // ==================== PAIRING RULES ====================
+
+    /**
+     * Get the pairs of user ids that must never be grouped together
+     */
+    getPairExclusions() {
+        return this._getNamespaceKey(this.STORAGE_KEYS.PAIR_EXCLUSIONS) || [];
+    },
+
+    /**
+     * Check whether two users must never be grouped together
+     */
+    hasPairExclusion(userId, otherId) {
+        return this.getPairExclusions().some(pair => pair.includes(userId) && pair.includes(otherId));
+    },
+
+    /**
+     * Keep two users apart (returns false for the same user or a pair already kept apart)
+     */
+    addPairExclusion(userId, otherId) {
+        if (userId === otherId || this.hasPairExclusion(userId, otherId)) return false;
+        this._setNamespaceKey(this.STORAGE_KEYS.PAIR_EXCLUSIONS, [...this.getPairExclusions(), [userId, otherId]]);
+        return true;
+    },
+
+    /**
+     * Let two users be grouped together again
+     */
+    removePairExclusion(userId, otherId) {
+        this._setNamespaceKey(
+            this.STORAGE_KEYS.PAIR_EXCLUSIONS,
+            this.getPairExclusions().filter(pair => !(pair.includes(userId) && pair.includes(otherId)))
+        );
+    },
+
+    // ==================== TOURNAMENT ====================
+
+    /**
+     * Get the tournament in progress (see Tournament.current), or null
+     */
+    getTournament() {
+        return this._getNamespaceKey(this.STORAGE_KEYS.TOURNAMENT) || null;
+    },
+
+    /**
+     * Save the tournament in progress, so a reload doesn't lose the bracket (null clears it)
+     */
+    setTournament(tournament) {
+        this._setNamespaceKey(this.STORAGE_KEYS.TOURNAMENT, tournament);
+    },
+
     // ==================== HISTORY ====================
 
     /**
@@ -224,15 +319,61 @@ const Storage = {
         }
     },
 
+    /**
+     * Get history entries that count as a pick (excludes grouped entries like standup orders)
+     */
+    getPickHistory() {
+        return this.getHistory().filter(entry => this.isPickEntry(entry));
+    },
+
+    /**
+     * Check whether a history entry is a single-winner pick
+     */
+    isPickEntry(entry) {
+        return !entry.type;
+    },
+
+    /**
+     * Get the ids of everyone a pick entry made a winner (several for multi-winner races)
+     */
+    getWinnerIds(entry) {
+        return entry.winners ? entry.winners.map(winner => winner.userId) : [entry.userId];
+    },
+
     /**
      * Add spin to history
+     * Extra race details (e.g. why the winner was selected, or every winner of a multi-winner race)
+     * are stored alongside the entry; userId is the first winner
+     */
+    addSpinEntry(userId, userName, details = {}) {
+        const entry = this._appendHistoryEntry({
+            ...details,
+            userId: userId,
+            userName: userName
+        });
+        this.setLastSelected(userId);
+        return entry;
+    },
+
+    /**
+     * Add a grouped entry (e.g. a standup order) to history
+     * Grouped entries are not picks: they don't count as wins or change the last selected user
+     */
+    addGroupEntry(type, details = {}) {
+        return this._appendHistoryEntry({
+            ...details,
+            type: type
+        });
+    },
+
+    /**
+     * Append an entry to history, keeping a rolling window of the last 500
      */
-    addSpinEntry(userId, userName) {
+    _appendHistoryEntry(fields) {
         const history = this.getHistory();
         const entry = {
+            ...fields,
             id: Date.now().toString(),
-            userId: userId,
-            userName: userName,
             timestamp: new Date().toISOString(),
             spinNumber: history.length + 1
         };
@@ -244,7 +385,6 @@ const Storage = {
         }
 
         this._setNamespaceKey(this.STORAGE_KEYS.HISTORY, history);
-        this.setLastSelected(userId);
         return entry;
     },
 
@@ -273,14 +413,22 @@ const Storage = {
      * Calculate statistics from history
      */
     calculateStatistics() {
-        const history = this.getHistory();
+        const history = this.getPickHistory();
         const users = this.getUsers();
         const stats = {};
 
+        // Total weight of enabled users, used for each user's expected share from weights alone
+        // (the selection mode and its rules shift each race's odds, see Selection.getCurrentOdds)
+        const totalWeight = users
+            .filter(user => user.enabled !== false)
+            .reduce((sum, user) => sum + user.weight, 0);
+
         // Initialize stats for each user
         users.forEach(user => {
+            const expectedShare = user.enabled !== false && totalWeight > 0 ? user.weight / totalWeight : 0;
             stats[user.id] = {
                 user: user,
+                expectedPercentage: (expectedShare * 100).toFixed(1),
                 winCount: 0,
                 selections: 0,
                 currentStreak: 0,
@@ -288,44 +436,26 @@ const Storage = {
             };
         });
 
-        // Count selections
-        let lastUserId = null;
-        let currentStreak = null;
-
+        // Count selections; a streak is a run of races in a row that the user won (or shared a win in)
+        let totalWins = 0;
         history.forEach(entry => {
-            if (stats[entry.userId]) {
-                stats[entry.userId].winCount++;
-                stats[entry.userId].selections++;
-
-                // Calculate streaks
-                if (entry.userId === lastUserId) {
-                    if (currentStreak === null) {
-                        currentStreak = { userId: entry.userId, count: 1 };
-                    } else {
-                        currentStreak.count++;
-                    }
+            const winnerIds = this.getWinnerIds(entry);
+            Object.values(stats).forEach(stat => {
+                if (winnerIds.includes(stat.user.id)) {
+                    stat.winCount++;
+                    stat.selections++;
+                    stat.currentStreak++;
+                    stat.longestStreak = Math.max(stat.longestStreak, stat.currentStreak);
                 } else {
-                    if (currentStreak && stats[currentStreak.userId]) {
-                        stats[currentStreak.userId].longestStreak =
-                            Math.max(stats[currentStreak.userId].longestStreak, currentStreak.count);
-                    }
-                    currentStreak = { userId: entry.userId, count: 1 };
+                    stat.currentStreak = 0;
                 }
-                lastUserId = entry.userId;
-            }
+            });
+            totalWins += winnerIds.length;
         });
 
-        // Finalize current streak
-        if (currentStreak && stats[currentStreak.userId]) {
-            stats[currentStreak.userId].currentStreak = currentStreak.count;
-            stats[currentStreak.userId].longestStreak =
-                Math.max(stats[currentStreak.userId].longestStreak, currentStreak.count);
-        }
-
-        // Calculate percentages
-        const totalSpins = history.length;
+        // Calculate percentages (of all winning places, so they add up to 100% like the expected shares)
         Object.values(stats).forEach(stat => {
-            stat.percentage = totalSpins > 0 ? ((stat.winCount / totalSpins) * 100).toFixed(1) : 0;
+            stat.percentage = totalWins > 0 ? ((stat.winCount / totalWins) * 100).toFixed(1) : 0;
         });
 
         return stats;
@@ -401,12 +531,29 @@ const Storage = {
             return;
         }
 
-        let csv = 'Race #,Date,Time,User Name\n';
+        const toRow = fields => fields.map(field => this.toCSVField(field)).join(',') + '\n';
+        let csv = toRow(['Race #', 'Date', 'Time', 'User Name', 'Selection Reason', 'Finishing Order', 'Seed']);
         history.forEach(entry => {
             const date = new Date(entry.timestamp);
             const dateStr = date.toLocaleDateString();
             const timeStr = date.toLocaleTimeString();
-            csv += `${entry.spinNumber},"${dateStr}","${timeStr}","${entry.userName}"\n`;
+            let reason = entry.type === 'standup' ? 'Standup order' : (entry.selection ? entry.selection.reason : '');
+            if (entry.tournament) {
+                reason = entry.tournament.stage === 'final'
+                    ? `Tournament final: ${reason}`
+                    : `Tournament heat ${entry.tournament.heat} of ${entry.tournament.heats}`;
+            }
+            if (entry.type === 'relay') {
+                reason = `Relay won by ${entry.relay.team} (anchor: ${entry.userName})`;
+            }
+            if (entry.type === 'split') {
+                reason = `Split into teams: ${entry.teams.map(team => `${team.name}: ${team.members.map(member => member.userName).join(', ')}`).join(' | ')}`;
+            }
+            const order = entry.finishingOrder
+                ? entry.finishingOrder.map(f => `${f.place}. ${f.userName}${f.fell ? ' (fell)' : ''}`).join('; ')
+                : '';
+            const names = entry.winners ? entry.winners.map(winner => winner.userName).join('; ') : entry.userName;
+            csv += toRow([entry.spinNumber, dateStr, timeStr, names, reason, order, entry.seed || '']);
         });
 
         // Download CSV file
@@ -419,6 +566,13 @@ const Storage = {
         window.URL.revokeObjectURL(url);
     },
 
+    /**
+     * Quote a CSV field, doubling any quotes inside it (RFC 4180)
+     */
+    toCSVField(value) {
+        return `"${String(value).replace(/"/g, '""')}"`;
+    },
+
     /**
      * Export history as JSON
      */
@@ -446,7 +600,8 @@ const Storage = {
     generateShareableLink() {
         const state = {
             users: this.getUsers(),
-            settings: this.getSettings()
+            settings: this.getSettings(),
+            pairExclusions: this.getPairExclusions()
         };
         const encoded = btoa(JSON.stringify(state));
         const baseUrl = window.location.origin + window.location.pathname;
@@ -469,7 +624,7 @@ const Storage = {
     },
 
     /**
-     * Apply shared state (users and settings)
+     * Apply shared state (users, settings and pairing rules)
      */
     applySharedState(state) {
         if (state.users && Array.isArray(state.users)) {
@@ -478,6 +633,9 @@ const Storage = {
         if (state.settings && typeof state.settings === 'object') {
             this._setNamespaceKey(this.STORAGE_KEYS.SETTINGS, state.settings);
         }
+        if (Array.isArray(state.pairExclusions)) {
+            this._setNamespaceKey(this.STORAGE_KEYS.PAIR_EXCLUSIONS, state.pairExclusions);
+        }
     },
 
     // ==================== RESET ====================
@@ -500,6 +658,7 @@ const Storage = {
             users: this.getUsers(),
             history: this.getHistory(),
             settings: this.getSettings(),
+            pairExclusions: this.getPairExclusions(),
             lastSelected: this._getNamespaceKey(this.STORAGE_KEYS.LAST_SELECTED),
             lastView: this._getNamespaceKey(this.STORAGE_KEYS.LAST_VIEW),
             firstVisit: this._getNamespaceKey(this.STORAGE_KEYS.FIRST_VISIT),
@@ -535,6 +694,11 @@ const Storage = {
                 this._setNamespaceKey(this.STORAGE_KEYS.SETTINGS, data.settings);
             }
 
+            // Import pairing rules
+            if (data.pairExclusions && Array.isArray(data.pairExclusions)) {
+                this._setNamespaceKey(this.STORAGE_KEYS.PAIR_EXCLUSIONS, data.pairExclusions);
+            }
+
             // Import other data
             if (data.lastSelected) {
                 this._setNamespaceKey(this.STORAGE_KEYS.LAST_SELECTED, data.lastSelected);
@@ -0,0 +1,151 @@
+/**
+ * Team Split Module - Deals a race's finishers into teams
+ * One race orders everyone; finishers are dealt into teams snake-draft style (1-2-3, 3-2-1, ...),
+ * so every team gets a fair mix of places, with pairing rules kept (see Pairing.dealTeams).
+ * The split is only recorded in history when saved.
+ */
+
+const TeamSplit = {
+    MIN_TEAMS: 2,
+    current: null, // { teams: [{ name, members: [{ id, name, color, place }] }], race: { finishingOrder, seed, commitment, setup }, saved, savedLabel }
+
+    /**
+     * Most teams a roster can be split into (at least two people a team)
+     */
+    getMaxTeams(userCount) {
+        return Math.max(this.MIN_TEAMS, Math.floor(userCount / 2));
+    },
+
+    /**
+     * Deal finishers into teams in snake-draft order by place, keeping the keepApart pairs of user ids
+     * on different teams; users supplies each finisher's color
+     * Returns null when no deal keeping every pair apart was found
+     */
+    deal(finishingOrder, teamCount, users, keepApart = []) {
+        const ids = finishingOrder.map(finisher => finisher.userId);
+        const positions = Pairing.dealTeams(ids, teamCount, keepApart);
+        if (!positions) return null;
+
+        return positions.map((team, index) => ({
+            name: `Team ${index + 1}`,
+            members: team.map(position => {
+                const finisher = finishingOrder[position];
+                const user = users.find(u => u.id === finisher.userId);
+                return {
+                    id: finisher.userId,
+                    name: finisher.userName,
+                    color: user ? user.color : '',
+                    place: finisher.place
+                };
+            })
+        }));
+    },
+
+    /**
+     * Show a new split from a finished race (race: { finishingOrder, seed, commitment, setup })
+     * savedLabel marks a split that can't be saved, e.g. a replay that's already in history
+     */
+    show(teams, race, savedLabel = null) {
+        this.current = { teams, race, saved: !!savedLabel, savedLabel };
+        this.render();
+    },
+
+    /**
+     * Hide the split (a new race replaces it)
+     */
+    hide() {
+        this.current = null;
+        this.render();
+    },
+
+    /**
+     * Render one card per team, members in the order they were dealt
+     */
+    render() {
+        const panel = document.getElementById('team-split');
+        if (!panel) return;
+
+        if (!this.current) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const cards = document.getElementById('team-split-cards');
+        cards.innerHTML = '';
+        this.current.teams.forEach(team => {
+            const card = document.createElement('div');
+            card.className = 'team-split-card';
+
+            const heading = document.createElement('h4');
+            heading.textContent = team.name;
+            card.appendChild(heading);
+
+            const list = document.createElement('ul');
+            team.members.forEach(member => {
+                const item = document.createElement('li');
+                const swatch = document.createElement('span');
+                swatch.className = 'team-split-color';
+                swatch.style.backgroundColor = member.color;
+                item.appendChild(swatch);
+                item.appendChild(document.createTextNode(member.name));
+                item.title = `Finished ${member.place}`;
+                list.appendChild(item);
+            });
+            card.appendChild(list);
+            cards.appendChild(card);
+        });
+
+        const saveButton = document.getElementById('team-split-save');
+        saveButton.disabled = this.current.saved;
+        saveButton.textContent = this.current.saved ? (this.current.savedLabel || 'Saved ✓') : 'Save to History';
+
+        panel.classList.remove('hidden');
+    },
+
+    /**
+     * Plain text version of the teams, one team per line
+     */
+    formatText(teams) {
+        return teams.map(team => `${team.name}: ${team.members.map(member => member.name).join(', ')}`).join('\n');
+    },
+
+    /**
+     * Copy the teams to the clipboard (falls back to a prompt to copy from)
+     */
+    copy() {
+        if (!this.current) return;
+
+        const text = this.formatText(this.current.teams);
+        const button = document.getElementById('team-split-copy');
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject();
+        copied
+            .then(() => {
+                button.textContent = 'Copied ✓';
+                setTimeout(() => { button.textContent = '📋 Copy'; }, 1500);
+            })
+            .catch(() => {
+                prompt('Copy the teams:', text);
+            });
+    },
+
+    /**
+     * Record the split in history as one grouped entry (not a pick)
+     */
+    save() {
+        if (!this.current || this.current.saved) return;
+
+        const { teams, race } = this.current;
+        const first = race.finishingOrder[0];
+        Storage.addGroupEntry('split', {
+            ...race,
+            userId: first.userId,
+            userName: first.userName,
+            teams: teams.map(team => ({
+                name: team.name,
+                members: team.members.map(member => ({ userId: member.id, userName: member.name }))
+            }))
+        });
+        this.current.saved = true;
+        this.render();
+    }
+};
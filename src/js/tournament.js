@@ -0,0 +1,226 @@
+/**
+ * Tournament Module - Heats and a final for bigger groups
+ * Enabled users are drawn into heats; the top finishers of each heat race the final.
+ * Every heat and the final is an ordinary Race.race() run, recorded in history under one tournament id.
+ */
+
+const Tournament = {
+    MIN_USERS: 4,   // two heats of at least two
+    current: null,  // { id, seed, qualifiers, heats: [{ roster, seed, finishingOrder }], final: { roster, seed, finishingOrder } }
+
+    /**
+     * Pick up the tournament saved before the page was last closed
+     */
+    init() {
+        this.current = Storage.getTournament();
+    },
+
+    /**
+     * Start a new tournament: draw the users into heats from the seed
+     * Every heat and the final get a fresh seed of their own: one built from another would let
+     * anyone work out the later races as soon as the first heat's seed is revealed
+     */
+    start(users, { heatSize, qualifiers, seed }) {
+        this.current = {
+            id: Date.now().toString(),
+            seed: seed,
+            qualifiers: qualifiers,
+            heats: this.drawHeats(users, heatSize, seed)
+                .map(roster => ({ roster, seed: SeededRandom.generateSeed(), finishingOrder: null })),
+            final: { roster: null, seed: SeededRandom.generateSeed(), finishingOrder: null }
+        };
+        Storage.setTournament(this.current);
+        return this.current;
+    },
+
+    /**
+     * Shuffle users into heats of at most heatSize (always at least two heats, sizes differ by at most one)
+     */
+    drawHeats(users, heatSize, seed) {
+        const random = SeededRandom.create(`${seed}-draw`);
+        const shuffled = [...users];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        const heatCount = Math.max(2, Math.ceil(shuffled.length / heatSize));
+        const heats = Array.from({ length: heatCount }, () => []);
+        shuffled.forEach((user, index) => heats[index % heatCount].push(user));
+        return heats;
+    },
+
+    /**
+     * How many go through from a heat (never the whole heat)
+     */
+    getQualifierCount(heat) {
+        return Math.max(1, Math.min(this.current.qualifiers, heat.roster.length - 1));
+    },
+
+    /**
+     * Whether a tournament has been started and its final not yet run
+     */
+    isInProgress() {
+        return !!this.current && !this.current.final.finishingOrder;
+    },
+
+    /**
+     * Get the Race.race() options for the next heat or the final (null once the final is run)
+     */
+    getNextRace() {
+        if (!this.isInProgress()) return null;
+
+        const { id, heats, final } = this.current;
+        const heatIndex = heats.findIndex(heat => !heat.finishingOrder);
+        if (heatIndex !== -1) {
+            return {
+                mode: 'heat',
+                roster: heats[heatIndex].roster,
+                seed: heats[heatIndex].seed,
+                tournament: {
+                    id,
+                    stage: 'heat',
+                    heat: heatIndex + 1,
+                    heats: heats.length,
+                    qualifiers: this.getQualifierCount(heats[heatIndex])
+                }
+            };
+        }
+
+        return {
+            mode: 'winner',
+            roster: final.roster,
+            seed: final.seed,
+            tournament: { id, stage: 'final', heats: heats.length, champion: true }
+        };
+    },
+
+    /**
+     * Record a finished heat or final; the last heat fills the final's roster (heat by heat, in finishing order)
+     */
+    recordResult(tournamentId, finishingOrder) {
+        if (!this.current || this.current.id !== tournamentId) return;
+
+        const { heats, final } = this.current;
+        const heat = heats.find(h => !h.finishingOrder);
+        if (!heat) {
+            final.finishingOrder = finishingOrder;
+        } else {
+            heat.finishingOrder = finishingOrder;
+            if (heats.every(h => h.finishingOrder)) {
+                final.roster = heats.flatMap(h => this.getQualifiers(h)
+                    .map(finisher => h.roster.find(user => user.id === finisher.userId)));
+            }
+        }
+        Storage.setTournament(this.current);
+    },
+
+    /**
+     * Finishers who go through from a run heat
+     */
+    getQualifiers(heat) {
+        return heat.finishingOrder ? heat.finishingOrder.slice(0, this.getQualifierCount(heat)) : [];
+    },
+
+    /**
+     * Drop the current tournament (heats already run stay in history)
+     */
+    abandon() {
+        this.current = null;
+        Storage.setTournament(null);
+        this.renderBracket();
+    },
+
+    /**
+     * Label for the race button in tournament mode
+     */
+    getButtonLabel() {
+        const next = this.getNextRace();
+        if (!next) return 'Start Tournament';
+        return next.tournament.stage === 'final'
+            ? 'Run the Final'
+            : `Run Heat ${next.tournament.heat} of ${next.tournament.heats}`;
+    },
+
+    /**
+     * Render the bracket: one card per heat, then the final and the champion
+     * Shown only in tournament mode once a tournament has started
+     */
+    renderBracket() {
+        const bracket = document.getElementById('tournament-bracket');
+        if (!bracket) return;
+
+        if (!this.current || Storage.getSetting('raceMode') !== 'tournament') {
+            bracket.classList.add('hidden');
+            return;
+        }
+
+        const rounds = document.getElementById('tournament-rounds');
+        rounds.innerHTML = '';
+
+        const next = this.getNextRace();
+        const heatsColumn = document.createElement('div');
+        heatsColumn.className = 'bracket-round';
+        this.current.heats.forEach((heat, index) => {
+            const isNext = !!next && next.tournament.heat === index + 1;
+            heatsColumn.appendChild(this.createBracketCard(`Heat ${index + 1}`, heat, this.getQualifierCount(heat), isNext));
+        });
+        rounds.appendChild(heatsColumn);
+
+        const finalColumn = document.createElement('div');
+        finalColumn.className = 'bracket-round';
+        const isFinalNext = !!next && next.tournament.stage === 'final';
+        finalColumn.appendChild(this.createBracketCard('Final', this.current.final, 1, isFinalNext));
+        rounds.appendChild(finalColumn);
+
+        const champion = document.getElementById('tournament-champion');
+        const winner = this.current.final.finishingOrder && this.current.final.finishingOrder[0];
+        champion.textContent = winner ? `🏆 ${winner.userName} is the champion!` : '';
+        champion.classList.toggle('hidden', !winner);
+
+        bracket.classList.remove('hidden');
+    },
+
+    /**
+     * Build one bracket card; run races list their finishing order with qualifiers ticked
+     */
+    createBracketCard(title, race, qualifierCount, isNext) {
+        const card = document.createElement('div');
+        card.className = 'bracket-heat';
+        card.classList.toggle('next', isNext);
+
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        card.appendChild(heading);
+
+        const list = document.createElement('ol');
+        list.className = 'bracket-runners';
+        if (race.finishingOrder) {
+            race.finishingOrder.forEach(finisher => {
+                const item = document.createElement('li');
+                item.textContent = `${finisher.userName}${finisher.fell ? ' (fell)' : ''}`;
+                item.classList.toggle('qualified', finisher.place <= qualifierCount);
+                list.appendChild(item);
+            });
+        } else if (race.roster) {
+            // Not run yet: runners in draw order, unnumbered
+            list.classList.add('pending');
+            race.roster.forEach(user => {
+                const item = document.createElement('li');
+                item.textContent = user.name;
+                list.appendChild(item);
+            });
+        } else {
+            const waiting = document.createElement('li');
+            waiting.className = 'bracket-waiting';
+            waiting.textContent = this.current.qualifiers > 1 ? `Top ${this.current.qualifiers} from each heat` : 'Heat winners';
+            list.classList.add('pending');
+            list.appendChild(waiting);
+        }
+        card.appendChild(list);
+        return card;
+    }
+};
+
+// Pick up a tournament left running before a reload
+Tournament.init();
@@ -0,0 +1,178 @@
+/**
+ * Tracks Module - Track themes and layouts
+ * A theme sets the background and lane styling; its layout maps a horse's race position
+ * (startLineX to finishLineX) and lane onto the track, so every layout shares one race model.
+ */
+
+const Tracks = {
+    DEFAULT_THEME: 'turf',
+
+    // Theme definitions. A null background/color keeps the stylesheet's default (which follows dark mode).
+    // Lane lines are drawn at half opacity, so laneColor can be a solid color.
+    THEMES: {
+        turf: {
+            name: 'Turf',
+            layout: 'straight',
+            background: null,
+            laneColor: null,
+            labelColor: null,
+            surfaceColor: null
+        },
+        dirt: {
+            name: 'Dirt',
+            layout: 'straight',
+            background: 'linear-gradient(to bottom, #d9b48a 0%, #b07d4a 55%, #8b5a2b 100%)',
+            laneColor: '#ffffff',
+            labelColor: '#3b2414',
+            surfaceColor: null
+        },
+        snow: {
+            name: 'Snow',
+            layout: 'straight',
+            background: 'linear-gradient(to bottom, #dbe9f6 0%, #f4f8fc 45%, #ffffff 100%)',
+            laneColor: '#5a82af',
+            labelColor: '#2c3e50',
+            surfaceColor: null
+        },
+        night: {
+            name: 'Night (floodlit)',
+            layout: 'straight',
+            background: 'radial-gradient(ellipse at 15% 0%, rgba(255, 250, 210, 0.45) 0%, transparent 40%), ' +
+                'radial-gradient(ellipse at 50% 0%, rgba(255, 250, 210, 0.35) 0%, transparent 40%), ' +
+                'radial-gradient(ellipse at 85% 0%, rgba(255, 250, 210, 0.45) 0%, transparent 40%), ' +
+                'linear-gradient(to bottom, #0b1630 0%, #10301f 60%, #0a2416 100%)',
+            laneColor: '#ffffff',
+            labelColor: '#f5f5f5',
+            surfaceColor: null
+        },
+        oval: {
+            name: 'Oval',
+            layout: 'oval',
+            background: 'linear-gradient(to bottom, #7cb668 0%, #5e9e4c 100%)',
+            laneColor: '#ffffff',
+            labelColor: '#ffffff',
+            surfaceColor: '#c9a36b'
+        }
+    },
+
+    // The oval's lanes get too thin past this many racers, so bigger fields race on the straight
+    OVAL_MAX_RACERS: 16,
+
+    // Horse art is sized for roomy lanes; shrink it when lanes get narrow
+    FULL_SIZE_LANE: 40,
+
+    /**
+     * Get a theme by id (unknown ids fall back to the default)
+     */
+    getTheme(id) {
+        return this.THEMES[id] || this.THEMES[this.DEFAULT_THEME];
+    },
+
+    /**
+     * Build the layout for a theme
+     * A layout has:
+     *   place(position, lane) -> { x, y, angle, flip }: where a horse is drawn and which way it faces
+     *   laneDividers: SVG path data for each lane line
+     *   surface: SVG path data for the running surface (even-odd fill), or null for the whole track
+     *   label(lane) -> { x, y, anchor }: where the lane's name goes
+     *   finishLine: { x, y1, y2 } (always vertical), finishDirection: 1 running right, -1 running left
+     *   laneSize: lane width across the direction of travel; horseScale: size of the horse art
+     */
+    getLayout(theme, { racers, width, height, startX, finishX }) {
+        if (theme.layout === 'oval' && racers <= this.OVAL_MAX_RACERS) {
+            return this.createOvalLayout({ racers, width, height, startX, finishX });
+        }
+        return this.createStraightLayout({ racers, width, height, finishX });
+    },
+
+    /**
+     * Horizontal lanes, top to bottom, running left to right
+     */
+    createStraightLayout({ racers, width, height, finishX }) {
+        const laneSize = height / Math.max(1, racers);
+        const laneDividers = [];
+        for (let i = 1; i < racers; i++) {
+            laneDividers.push(`M0,${i * laneSize} L${width},${i * laneSize}`);
+        }
+
+        return {
+            type: 'straight',
+            laneSize,
+            horseScale: Math.min(1, laneSize / this.FULL_SIZE_LANE),
+            laneDividers,
+            surface: null,
+            finishLine: { x: finishX, y1: 0, y2: height },
+            finishDirection: 1,
+            place: (position, lane) => ({ x: position, y: (lane + 0.5) * laneSize, angle: 0, flip: false }),
+            label: lane => ({ x: 10, y: (lane + 0.5) * laneSize, anchor: 'start' })
+        };
+    },
+
+    /**
+     * Stadium-shaped oval: away along the bottom straight, round the right-hand bend,
+     * then home along the top straight to a finish opposite the start.
+     * Lane 0 is the rail; each lane is stretched to the same race distance.
+     */
+    createOvalLayout({ racers, width, height, startX, finishX }) {
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const halfStraight = width * 0.22;
+        const outerRadius = Math.min(centerY - 15, centerX - halfStraight - 15);
+        const innerRadius = outerRadius * 0.35;
+        const laneSize = (outerRadius - innerRadius) / Math.max(1, racers);
+        const radius = lane => innerRadius + (lane + 0.5) * laneSize;
+
+        // Closed stadium outline at a given distance from the centre
+        const stadium = r => `M${centerX - halfStraight},${centerY + r} L${centerX + halfStraight},${centerY + r} ` +
+            `A${r},${r} 0 0 0 ${centerX + halfStraight},${centerY - r} L${centerX - halfStraight},${centerY - r} ` +
+            `A${r},${r} 0 0 0 ${centerX - halfStraight},${centerY + r} Z`;
+
+        const laneDividers = [];
+        for (let i = 0; i <= racers; i++) {
+            laneDividers.push(stadium(innerRadius + i * laneSize));
+        }
+
+        return {
+            type: 'oval',
+            laneSize,
+            horseScale: Math.min(1, laneSize / this.FULL_SIZE_LANE * 1.3),
+            laneDividers,
+            surface: `${stadium(outerRadius)} ${stadium(innerRadius)}`,
+            finishLine: { x: centerX - halfStraight, y1: centerY - outerRadius, y2: centerY - innerRadius },
+            finishDirection: -1,
+            place: (position, lane) => {
+                const r = radius(lane);
+                const straight = halfStraight * 2;
+                const bend = Math.PI * r;
+                const distance = (position - startX) / (finishX - startX) * (straight * 2 + bend);
+
+                if (distance < straight) {
+                    return { x: centerX - halfStraight + distance, y: centerY + r, angle: 0, flip: false };
+                }
+                if (distance < straight + bend) {
+                    // Heading turns from right (0°) through up (-90°) to left; past -90° draw the horse mirrored
+                    const turned = (distance - straight) / r;
+                    const heading = -turned * 180 / Math.PI;
+                    return {
+                        x: centerX + halfStraight + r * Math.sin(turned),
+                        y: centerY + r * Math.cos(turned),
+                        angle: heading < -90 ? heading + 180 : heading,
+                        flip: heading < -90
+                    };
+                }
+                return { x: centerX + halfStraight - (distance - straight - bend), y: centerY - r, angle: 0, flip: true };
+            },
+            label: lane => ({ x: centerX - halfStraight - 12, y: centerY + radius(lane), anchor: 'end' })
+        };
+    },
+
+    /**
+     * Build the SVG transform that draws a horse at a placement
+     */
+    getHorseTransform({ x, y, angle, flip }, scale) {
+        let transform = `translate(${x}, ${y})`;
+        if (angle) transform += ` rotate(${angle})`;
+        if (flip || scale !== 1) transform += ` scale(${flip ? -scale : scale}, ${scale})`;
+        return transform;
+    }
+};
@@ -0,0 +1,74 @@
+/**
+ * Verify Page Module - Checks a revealed race draw against its commitment
+ * Standalone: only needs random.js, selection.js and fairness.js
+ */
+
+const VerifyPage = {
+    /**
+     * Initialize the verify page
+     */
+    init() {
+        const commitmentInput = document.getElementById('verify-commitment');
+        const revealInput = document.getElementById('verify-reveal');
+
+        // Prefill from the link on a history entry
+        const params = new URLSearchParams(window.location.search);
+        commitmentInput.value = params.get('commitment') || '';
+        revealInput.value = params.get('reveal') || '';
+
+        document.getElementById('verify-button').addEventListener('click', () => {
+            this.verify(commitmentInput.value, revealInput.value);
+        });
+
+        if (commitmentInput.value && revealInput.value) {
+            this.verify(commitmentInput.value, revealInput.value);
+        }
+    },
+
+    /**
+     * Verify and show the result
+     */
+    async verify(commitment, reveal) {
+        const resultDiv = document.getElementById('verify-result');
+        resultDiv.classList.remove('hidden');
+        resultDiv.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        const details = document.createElement('p');
+        resultDiv.appendChild(heading);
+        resultDiv.appendChild(details);
+
+        if (!ProvablyFair.isSupported()) {
+            heading.textContent = 'Cannot verify here';
+            details.textContent = 'This browser only allows SHA-256 on secure pages (https or localhost).';
+            return;
+        }
+
+        try {
+            const result = await ProvablyFair.verify(reveal.trim(), commitment);
+            const names = result.winners.map(winner => winner.name);
+            const picked = names.length > 1
+                ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} as the winners`
+                : `${names[0]} as the winner`;
+            if (result.hashMatches) {
+                heading.textContent = '✅ Commitment matches';
+                details.textContent = `The seed and roster were fixed before the race. They pick ${picked}.`;
+            } else {
+                heading.textContent = '❌ Commitment does not match';
+                details.textContent = `This reveal was not the one committed to. (On its own it would pick ${picked}.)`;
+            }
+        } catch (e) {
+            heading.textContent = '❌ Invalid reveal';
+            details.textContent = 'The reveal must be the exact text shown after the race.';
+        }
+    }
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        VerifyPage.init();
+    });
+} else {
+    VerifyPage.init();
+}
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Fairness check - runs many headless races and compares each racer's win share to their odds
+ *
+ * Usage: node tools/simulate.js [--races 100000] [--users 5] [--weights 1,1,2] [--engine scripted|emergent]
+ *                               [--duration 7000] [--falls] [--steeplechase] [--elimination] [--handicaps 40,-40,0]
+ *                               [--winners 2] [--seed base]
+ *
+ * With --winners N every racer's share of winning places is compared instead, and the chi-square
+ * test runs over every possible set of N winners. A weight of 0 gives a racer no chance, as avoid-last,
+ * rounds or the no-repeat window do; with more winners than racers with a chance (e.g.
+ * --weights 0,0,1,1,0 --winners 3) every racer with a chance must win, and the places left over
+ * (which go to racers without one) aren't compared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The simulation modules are plain browser scripts, so load them into one shared context
+const context = vm.createContext({});
+['random.js', 'selection.js', 'simulation.js'].forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'js', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+});
+const { Simulation } = vm.runInContext('({ Simulation })', context);
+
+/**
+ * Read --name value pairs (and bare --flags) from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        args[name] = next === undefined || next.startsWith('--') ? true : argv[++i];
+    }
+    return args;
+}
+
+/**
+ * Chance of each set of winners (keyed by sorted indices) when they are drawn one after another,
+ * each from whoever is left in proportion to their probability
+ */
+function winnerSetOdds(probabilities, count) {
+    const sets = {};
+    const draw = (drawn, chance) => {
+        const left = probabilities.reduce((sum, p, index) => drawn.includes(index) ? sum : sum + p, 0);
+        // Once everyone with a chance is drawn, the rest of the places don't depend on the odds
+        if (drawn.length === count || left === 0) {
+            const key = [...drawn].sort((a, b) => a - b).join(',');
+            sets[key] = (sets[key] || 0) + chance;
+            return;
+        }
+        probabilities.forEach((p, index) => {
+            if (!drawn.includes(index) && p > 0) draw([...drawn, index], chance * p / left);
+        });
+    };
+    draw([], 1);
+    return sets;
+}
+
+/**
+ * Upper tail probability of a chi-square statistic (Wilson-Hilferty approximation)
+ */
+function chiSquarePValue(statistic, degrees) {
+    const z = (Math.cbrt(statistic / degrees) - (1 - 2 / (9 * degrees))) / Math.sqrt(2 / (9 * degrees));
+    // Standard normal upper tail (Abramowitz-Stegun 26.2.17)
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? tail : 1 - tail;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const races = parseInt(args.races) || 100000;
+const weights = args.weights
+    ? String(args.weights).split(',').map(Number)
+    : new Array(parseInt(args.users) || 5).fill(1);
+const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+const roster = weights.map((weight, index) => ({
+    id: String(index + 1),
+    name: `Racer ${index + 1}`,
+    color: '#888888',
+    probability: weight / totalWeight
+}));
+
+const options = {
+    roster,
+    duration: parseInt(args.duration) || 7000,
+    engine: args.engine === 'emergent' ? 'emergent' : 'scripted',
+    horseCanFall: !!args.falls,
+    steeplechase: !!args.steeplechase,
+    elimination: !!args.elimination,
+    startOffsets: args.handicaps ? String(args.handicaps).split(',').map(Number) : null,
+    winners: Math.max(1, Math.min(parseInt(args.winners) || 1, roster.length - 1)),
+    recordFrames: false
+};
+const seedBase = args.seed || 'fairness';
+
+const wins = new Array(roster.length).fill(0);
+const setWins = {};
+const startedAt = Date.now();
+for (let i = 0; i < races; i++) {
+    const timeline = Simulation.run({ ...options, seed: `${seedBase}-${i}` });
+    timeline.result.winnerIndices.forEach(index => wins[index]++);
+    const key = timeline.result.winnerIndices
+        .filter(index => roster[index].probability > 0)
+        .sort((a, b) => a - b)
+        .join(',');
+    setWins[key] = (setWins[key] || 0) + 1;
+}
+const seconds = (Date.now() - startedAt) / 1000;
+
+const kind = `${options.elimination ? 'elimination ' : ''}${options.steeplechase ? 'steeplechases' : 'races'}`;
+const handicaps = options.startOffsets ? `, handicaps ${options.startOffsets.join(',')}` : '';
+const winnerCount = options.winners > 1 ? `, ${options.winners} winners` : '';
+console.log(`${races} ${options.engine} ${kind}, ${roster.length} racers${winnerCount}, falls ${options.horseCanFall ? 'on' : 'off'}${handicaps} (${seconds.toFixed(1)}s)\n`);
+console.log('Racer       Expected   Actual     Wins');
+
+// Expected share of winning places, and the outcomes the chi-square test runs over
+// (each racer for single-winner races, each set of winners otherwise)
+const setOdds = winnerSetOdds(roster.map(racer => racer.probability), options.winners);
+const expectedShares = roster.map((racer, index) => Object.entries(setOdds)
+    .filter(([key]) => key.split(',').map(Number).includes(index))
+    .reduce((sum, [, chance]) => sum + chance, 0) / options.winners);
+
+let chiSquare = 0;
+let degrees = -1;
+Object.entries(setOdds).forEach(([key, chance]) => {
+    const expectedWins = chance * races;
+    if (expectedWins > 0) {
+        chiSquare += Math.pow((setWins[key] || 0) - expectedWins, 2) / expectedWins;
+        degrees++;
+    }
+});
+roster.forEach((racer, index) => {
+    console.log(
+        racer.name.padEnd(12) +
+        `${(expectedShares[index] * 100).toFixed(2)}%`.padEnd(11) +
+        `${(wins[index] / races / options.winners * 100).toFixed(2)}%`.padEnd(11) +
+        wins[index]
+    );
+});
+
+if (degrees > 0) {
+    const pValue = chiSquarePValue(chiSquare, degrees);
+    console.log(`\nChi-square ${chiSquare.toFixed(2)} on ${degrees} degrees of freedom, p = ${pValue.toFixed(3)}`);
+    console.log(pValue < 0.01 ? 'Win shares do NOT match the odds (p < 0.01)' : 'Win shares are consistent with the odds');
+} else if (options.winners > 1) {
+    // Only one set of winners is possible (everyone with a chance wins), so every race must pick it
+    const [onlySet] = Object.keys(setOdds);
+    const missed = races - (setWins[onlySet] || 0);
+    console.log(missed === 0
+        ? '\nEvery race picked everyone with a chance'
+        : `\n${missed} races left out someone with a chance (Win shares do NOT match the odds)`);
+}